@@ -0,0 +1,245 @@
+/**
+ * Bankroll - Risk of ruin and bankroll requirements for a bet spread
+ * Win rate and variance come from a simulation or from an analytic count model
+ */
+
+const BANKROLL_CONFIG = {
+    EDGE_PER_TRUE_COUNT: 0.5,      // Player edge gained per Hi-Lo true count (%)
+    HAND_VARIANCE: 1.32,           // Variance of one hand per unit bet squared
+    SPOT_CORRELATION: 0.5,         // Correlation between spots played against the same dealer hand
+    SHOE_STEPS: 50,                // Shoe positions sampled for the true count distribution
+    MAX_TRUE_COUNT: 20
+};
+
+// Tag variance per card for Hi-Lo, which EDGE_PER_TRUE_COUNT is measured against
+const HI_LO_TAG_VARIANCE = 10 / 13;
+
+/**
+ * Parse a bet ramp like "1,2,4,8"
+ * @returns {number[]|null} Units per true count, or null if nothing valid was entered
+ */
+function parseRamp(text) {
+    const ramp = String(text || '')
+        .split(',')
+        .map(v => parseFloat(v))
+        .filter(v => !isNaN(v) && v > 0);
+    return ramp.length > 0 ? ramp : null;
+}
+
+/**
+ * Bet units for a true count: ramp[0] at TC <= 0, ramp[i] at TC i, the last entry above that
+ */
+function getRampUnits(ramp, trueCount) {
+    if (!ramp || ramp.length === 0) return 1;
+    const index = Math.max(0, Math.min(ramp.length - 1, Math.floor(trueCount)));
+    return ramp[index];
+}
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26)
+function normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const tail = 0.5 * poly * Math.exp(-x * x / 2);
+    return x >= 0 ? 1 - tail : tail;
+}
+
+// Standard normal density
+function normalPdf(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+// log of the normal CDF, using the asymptotic tail where the CDF underflows
+function logNormalCdf(x) {
+    if (x > -5) return Math.log(normalCdf(x));
+    return -x * x / 2 - Math.log(-x * Math.sqrt(2 * Math.PI)) + Math.log(1 - 1 / (x * x));
+}
+
+/**
+ * Player edge gained per true count point of a system
+ * Scaled so a level-2 count is not credited twice the edge per point
+ */
+function getEdgePerTrueCount(countingSystem) {
+    return BANKROLL_CONFIG.EDGE_PER_TRUE_COUNT / 100 * Math.sqrt(HI_LO_TAG_VARIANCE / getTagVariance(countingSystem));
+}
+
+/**
+ * Estimated player edge (as a fraction) at a true count under the table rules
+ */
+function getTrueCountEdge(settings, trueCount, countingSystem) {
+    return -calculateHouseEdge(settings).edge / 100 + getEdgePerTrueCount(countingSystem) * trueCount;
+}
+
+/**
+ * Fractional-Kelly bet per spot for an edge
+ * @param {number} bankroll - Current bankroll
+ * @param {number} edge - Player edge as a fraction of the bet
+ * @param {number} fraction - Share of the full Kelly bet (0.5 = half Kelly)
+ * @param {number} spots - Spots played, which share one dealer hand and so add correlated risk
+ * @returns {number} Bet per spot, 0 with no edge
+ */
+function getKellyBet(bankroll, edge, fraction, spots = 1) {
+    if (edge <= 0 || bankroll <= 0) return 0;
+    const variance = BANKROLL_CONFIG.HAND_VARIANCE * (1 + (spots - 1) * BANKROLL_CONFIG.SPOT_CORRELATION);
+    return bankroll * fraction * edge / variance;
+}
+
+/**
+ * Range of unrounded true counts that Deck.roundTrueCount() turns into a given count
+ * @returns {number[]} [low, high]
+ */
+function getTrueCountBounds(trueCount, rounding) {
+    switch (rounding) {
+        case 'floor':
+            return [trueCount, trueCount + 1];
+        case 'truncate':
+            if (trueCount > 0) return [trueCount, trueCount + 1];
+            if (trueCount < 0) return [trueCount - 1, trueCount];
+            return [-1, 1];
+        default:
+            return [trueCount - 0.5, trueCount + 0.5];
+    }
+}
+
+/**
+ * Divisor Deck.getTrueCountDivisor() uses with a number of cards dealt
+ * The discard tray is read as holding every card dealt
+ */
+function getEstimatedDivisor(deckEstimation, deckCount, dealt) {
+    const remaining = deckCount * 52 - dealt;
+    switch (deckEstimation) {
+        case 'half-deck':
+            return Math.max(0.5, Math.round(remaining / 26) / 2);
+        case 'discard-half':
+            return Math.max(0.5, deckCount - Math.round(dealt / 26) / 2);
+        case 'discard-full':
+            return Math.max(1, deckCount - Math.round(dealt / 52));
+        default:
+            return remaining / 52 < 0.5 ? 1 : remaining / 52;
+    }
+}
+
+/**
+ * Analytic win rate and spread of a bet ramp, per round in units
+ * The true count at each point of the shoe is taken as normal, and the edge as linear in the count
+ * @param {Object} settings - BlackjackGame settings
+ * @param {number} penetration - Fraction of the shoe dealt before a reshuffle
+ * @param {number[]} ramp - Units per true count (see getRampUnits)
+ * @param {string} countingSystem - Key of COUNTING_SYSTEMS
+ * @returns {Object} { ev, sd, averageBet, trueCounts } - trueCounts as [{ trueCount, frequency, edge }]
+ */
+function estimateSpreadResults(settings, penetration, ramp, countingSystem) {
+    const deckCount = settings.deckCount || 6;
+    const spots = Math.max(1, parseInt(settings.numHands) || 1);
+    const shoeCards = deckCount * 52;
+    const baseEdge = -calculateHouseEdge(settings).edge / 100;
+
+    const tagVariance = getTagVariance(countingSystem);
+    const edgePerCount = getEdgePerTrueCount(countingSystem);
+
+    const buckets = {};
+    let ev = 0;
+    let withinVariance = 0;   // E[Var | TC]
+    let meanSquare = 0;       // E[mean² | TC]
+    let averageBet = 0;
+
+    for (let step = 0; step < BANKROLL_CONFIG.SHOE_STEPS; step++) {
+        const dealt = Math.floor((step + 0.5) / BANKROLL_CONFIG.SHOE_STEPS * penetration * shoeCards);
+        const remaining = shoeCards - dealt;
+        const divisor = getEstimatedDivisor(settings.deckEstimation, deckCount, dealt);
+
+        const sd = Math.sqrt(dealt * remaining / (shoeCards - 1) * tagVariance) / divisor;
+
+        for (let tc = -BANKROLL_CONFIG.MAX_TRUE_COUNT; tc <= BANKROLL_CONFIG.MAX_TRUE_COUNT; tc++) {
+            const [low, high] = getTrueCountBounds(tc, settings.trueCountRounding);
+            const frequency = sd > 0 ?
+                normalCdf(high / sd) - normalCdf(low / sd) :
+                (tc === 0 ? 1 : 0);
+            if (frequency <= 0) continue;
+
+            // The edge follows the unrounded count, so take its mean over the bucket
+            const meanCount = sd > 0 ? sd * (normalPdf(low / sd) - normalPdf(high / sd)) / frequency : 0;
+            const weight = frequency / BANKROLL_CONFIG.SHOE_STEPS;
+            const units = getRampUnits(ramp, tc) * spots;
+            const edge = baseEdge + edgePerCount * meanCount;
+
+            ev += weight * units * edge;
+            withinVariance += weight * units * units * BANKROLL_CONFIG.HAND_VARIANCE *
+                (1 + (spots - 1) * BANKROLL_CONFIG.SPOT_CORRELATION) / spots;
+            meanSquare += weight * Math.pow(units * edge, 2);
+            averageBet += weight * units;
+
+            const bucket = buckets[tc] || (buckets[tc] = { trueCount: tc, frequency: 0, weightedEdge: 0 });
+            bucket.frequency += weight;
+            bucket.weightedEdge += weight * edge;
+        }
+    }
+
+    const trueCounts = Object.values(buckets)
+        .sort((a, b) => a.trueCount - b.trueCount)
+        .map(b => ({ trueCount: b.trueCount, frequency: b.frequency, edge: b.weightedEdge / b.frequency }));
+
+    // Law of total variance: the spread within each count plus the spread of the win rate across counts
+    const variance = withinVariance + meanSquare - ev * ev;
+    return { ev, sd: Math.sqrt(Math.max(0, variance)), averageBet, trueCounts };
+}
+
+/**
+ * Lifetime risk of ruin for a bankroll, from per-round EV and SD in the same unit
+ */
+function calculateRiskOfRuin(ev, sd, bankroll) {
+    if (bankroll <= 0) return 1;
+    if (ev <= 0) return 1;
+    if (sd <= 0) return 0;
+    return Math.min(1, Math.exp(-2 * ev * bankroll / (sd * sd)));
+}
+
+/**
+ * Chance of losing the whole bankroll at some point within a number of rounds
+ */
+function calculateTripRuin(ev, sd, bankroll, rounds) {
+    if (bankroll <= 0) return 1;
+    if (rounds <= 0) return 0;
+    if (sd <= 0) return ev * rounds <= -bankroll ? 1 : 0;
+
+    // First passage of a drifting random walk below -bankroll
+    const spread = sd * Math.sqrt(rounds);
+    const direct = normalCdf((-bankroll - ev * rounds) / spread);
+    const reflected = Math.exp(-2 * ev * bankroll / (sd * sd) + logNormalCdf((-bankroll + ev * rounds) / spread));
+    return Math.min(1, direct + reflected);
+}
+
+/**
+ * Bankroll giving a target lifetime risk of ruin, or null when the game has no edge
+ */
+function getRequiredBankroll(ev, sd, risk) {
+    if (ev <= 0 || risk <= 0 || risk >= 1) return null;
+    return -sd * sd * Math.log(risk) / (2 * ev);
+}
+
+/**
+ * Bankroll giving a target risk of ruin within a number of rounds
+ */
+function getRequiredTripBankroll(ev, sd, rounds, risk) {
+    if (rounds <= 0 || risk <= 0 || risk >= 1) return null;
+
+    let low = 0;
+    let high = Math.max(sd, 1) * Math.sqrt(rounds);
+    while (calculateTripRuin(ev, sd, high, rounds) > risk) high *= 2;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (calculateTripRuin(ev, sd, mid, rounds) > risk) low = mid;
+        else high = mid;
+    }
+    return high;
+}
+
+// Export
+window.parseRamp = parseRamp;
+window.getRampUnits = getRampUnits;
+window.getTrueCountEdge = getTrueCountEdge;
+window.getKellyBet = getKellyBet;
+window.estimateSpreadResults = estimateSpreadResults;
+window.calculateRiskOfRuin = calculateRiskOfRuin;
+window.calculateTripRuin = calculateTripRuin;
+window.getRequiredBankroll = getRequiredBankroll;
+window.getRequiredTripBankroll = getRequiredTripBankroll;
@@ -0,0 +1,224 @@
+/**
+ * Custom Counting Systems - Player-defined tag sets alongside the built-in counts
+ * Saved systems are registered in COUNTING_SYSTEMS so the deck, simulator and bet models use them as is
+ */
+
+// Ranks the editor sets; J, Q and K take the 10 tag unless a system gives them their own
+const EDITOR_RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+const TEN_VALUE_RANKS = ['J', 'Q', 'K'];
+
+const CUSTOM_SYSTEM_LIMITS = {
+    MAX_TAG: 4,        // Largest tag size allowed
+    TAG_STEP: 0.5,     // Tags are whole or half points (Wong Halves)
+    MAX_NAME: 32
+};
+
+const isTagValue = (value) => typeof value === 'number' && isFinite(value) &&
+    Number.isInteger(value / CUSTOM_SYSTEM_LIMITS.TAG_STEP) && Math.abs(value) <= CUSTOM_SYSTEM_LIMITS.MAX_TAG;
+
+/**
+ * Check a system definition in the JSON format
+ * { name, balanced, pivot?, keyCounts?: { decks: runningCount }, tags: { A, 2, ..., 10, J?, Q?, K? } }
+ * @returns {string[]} Problems found, empty when the system can be used
+ */
+function validateCountingSystem(definition) {
+    if (!definition || typeof definition !== 'object') return ['Not a counting system'];
+
+    const errors = [];
+    const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+    if (!name) errors.push('Give the system a name');
+    else if (name.length > CUSTOM_SYSTEM_LIMITS.MAX_NAME) errors.push(`Keep the name to ${CUSTOM_SYSTEM_LIMITS.MAX_NAME} characters`);
+
+    const tags = definition.tags || {};
+    const badRanks = RANKS.filter(rank => {
+        const tag = tags[rank] === undefined && TEN_VALUE_RANKS.includes(rank) ? tags['10'] : tags[rank];
+        return !isTagValue(tag);
+    });
+    if (badRanks.length > 0) {
+        errors.push(`Tags must be whole or half points up to ±${CUSTOM_SYSTEM_LIMITS.MAX_TAG} (check ${badRanks.join(', ')})`);
+        return errors;
+    }
+
+    const system = normalizeCountingSystem(definition);
+    if (RANKS.every(rank => system.tags[rank] === 0)) errors.push('At least one tag must be non-zero');
+
+    const tagSum = getDeckTagSum(system);
+    if (system.balanced && tagSum !== 0) {
+        errors.push(`Tags sum to ${tagSum > 0 ? '+' : ''}${tagSum} per deck; a balanced system must sum to 0`);
+    }
+    if (!system.balanced && tagSum === 0) errors.push('Tags sum to 0 per deck; mark the system balanced');
+
+    if (definition.pivot !== undefined && !isFinite(definition.pivot)) errors.push('Pivot must be a number');
+    if (definition.keyCounts !== undefined) {
+        const entries = Object.entries(definition.keyCounts || {});
+        if (entries.length === 0 || entries.some(([decks, count]) => !(parseInt(decks) > 0) || !isFinite(count))) {
+            errors.push('Key counts map deck counts to running counts, like { "6": -4 }');
+        }
+    }
+    return errors;
+}
+
+/**
+ * A definition in the shape COUNTING_SYSTEMS uses, with every rank tagged
+ */
+function normalizeCountingSystem(definition) {
+    const tags = {};
+    for (const rank of RANKS) {
+        const tag = definition.tags[rank] ?? (TEN_VALUE_RANKS.includes(rank) ? definition.tags['10'] : 0);
+        tags[rank] = Number(tag);
+    }
+
+    const system = {
+        name: String(definition.name).trim(),
+        balanced: definition.balanced !== false,
+        pivot: definition.balanced === false ? Number(definition.pivot) || 0 : 0,
+        tags
+    };
+    if (definition.balanced === false && definition.keyCounts) {
+        system.keyCounts = {};
+        for (const [decks, count] of Object.entries(definition.keyCounts)) {
+            system.keyCounts[parseInt(decks)] = Number(count);
+        }
+    }
+    return system;
+}
+
+/**
+ * Saves, loads and registers the player's counting systems
+ */
+class CountingSystemManager {
+    constructor(game) {
+        this.game = game;
+        this.customSystems = {};
+        this.builtInIds = Object.keys(COUNTING_SYSTEMS);
+        this.loadPreferences();
+
+        // Settings are loaded before saved systems exist in COUNTING_SYSTEMS
+        const selected = this.game.settings.countingSystem;
+        if (COUNTING_SYSTEMS[selected]) this.game.deck.setCountingSystem(selected);
+        else this.game.updateSettings({ countingSystem: 'hi-lo' });
+    }
+
+    isCustom(id) {
+        return !!this.customSystems[id];
+    }
+
+    getSystem(id) {
+        return COUNTING_SYSTEMS[id] || null;
+    }
+
+    /**
+     * Save a system, replacing the saved system with the given id
+     * @returns {Object} { id, errors } - id is null when the system was rejected
+     */
+    saveSystem(definition, id = null) {
+        const errors = validateCountingSystem(definition);
+        if (errors.length > 0) return { id: null, errors };
+
+        const system = normalizeCountingSystem(definition);
+        if (!id || !this.isCustom(id)) id = this.createId(system.name);
+
+        this.customSystems[id] = system;
+        COUNTING_SYSTEMS[id] = system;
+        this.savePreferences();
+
+        // The running count so far was kept with the old tags
+        if (this.game.settings.countingSystem === id) {
+            this.game.deck.recount();
+            this.game.notifyCountUpdate();
+        }
+        return { id, errors: [] };
+    }
+
+    deleteSystem(id) {
+        if (!this.isCustom(id)) return false;
+        if (this.game.settings.countingSystem === id) this.game.updateSettings({ countingSystem: 'hi-lo' });
+
+        delete this.customSystems[id];
+        delete COUNTING_SYSTEMS[id];
+        this.savePreferences();
+        return true;
+    }
+
+    // Unused id from a name, like the preset ids
+    createId(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || String(Date.now());
+        let id = `custom-${slug}`;
+        for (let n = 2; COUNTING_SYSTEMS[id]; n++) id = `custom-${slug}-${n}`;
+        return id;
+    }
+
+    /**
+     * JSON for a system, with J, Q and K left out when they match the 10
+     */
+    exportSystem(id) {
+        const system = this.getSystem(id);
+        if (!system) return null;
+
+        const tags = {};
+        for (const rank of RANKS) {
+            if (TEN_VALUE_RANKS.includes(rank) && system.tags[rank] === system.tags['10']) continue;
+            tags[rank] = system.tags[rank];
+        }
+        const definition = { name: system.name, balanced: system.balanced };
+        if (!system.balanced) {
+            definition.pivot = system.pivot || 0;
+            if (system.keyCounts) definition.keyCounts = system.keyCounts;
+        }
+        definition.tags = tags;
+        return JSON.stringify(definition, null, 2);
+    }
+
+    /**
+     * Save the systems in JSON text, one definition or an array of them
+     * @returns {Object} { ids, errors } - errors are prefixed with the system's name when there are several
+     */
+    importSystems(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            return { ids: [], errors: ['Not valid JSON'] };
+        }
+
+        const definitions = Array.isArray(parsed) ? parsed : [parsed];
+        const ids = [];
+        const errors = [];
+        for (const definition of definitions) {
+            const result = this.saveSystem(definition);
+            if (result.id) {
+                ids.push(result.id);
+            } else {
+                const label = definitions.length > 1 ? `${definition?.name || 'Unnamed'}: ` : '';
+                errors.push(...result.errors.map(error => label + error));
+            }
+        }
+        return { ids, errors };
+    }
+
+    savePreferences() {
+        try {
+            localStorage.setItem('blackjack_count_systems', JSON.stringify(this.customSystems));
+        } catch (e) { }
+    }
+
+    loadPreferences() {
+        try {
+            const saved = localStorage.getItem('blackjack_count_systems');
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                for (const id of Object.keys(parsed)) {
+                    if (this.builtInIds.includes(id) || validateCountingSystem(parsed[id]).length > 0) continue;
+                    this.customSystems[id] = normalizeCountingSystem(parsed[id]);
+                    COUNTING_SYSTEMS[id] = this.customSystems[id];
+                }
+            }
+        } catch (e) { }
+    }
+}
+
+// Export
+window.CountingSystemManager = CountingSystemManager;
+window.validateCountingSystem = validateCountingSystem;
+window.normalizeCountingSystem = normalizeCountingSystem;
+window.EDITOR_RANKS = EDITOR_RANKS;
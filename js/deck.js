@@ -9,15 +9,103 @@ const SUITS = ['♠', '♥', '♦', '♣'];
 const SUIT_NAMES = ['spades', 'hearts', 'diamonds', 'clubs'];
 const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
 
-// Card counting systems - values for each rank
+/**
+ * Card counting systems
+ * - tags: count value of each rank
+ * - balanced: tags sum to zero over a deck
+ * - pivot: running count at which the true count equals the tag sum per deck at any depth
+ *   (unbalanced systems start at IRC = pivot - tag sum per deck x decks so the pivot holds)
+ * - keyCounts: running count to start raising bets, by deck count (unbalanced systems)
+ */
 const COUNTING_SYSTEMS = {
-    'hi-lo': { 'A': -1, '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 0, '8': 0, '9': 0, '10': -1, 'J': -1, 'Q': -1, 'K': -1 },
-    'ko': { 'A': -1, '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 1, '8': 0, '9': 0, '10': -1, 'J': -1, 'Q': -1, 'K': -1 },
-    'omega2': { 'A': 0, '2': 1, '3': 1, '4': 2, '5': 2, '6': 2, '7': 1, '8': 0, '9': -1, '10': -2, 'J': -2, 'Q': -2, 'K': -2 },
-    'hi-opt1': { 'A': 0, '2': 0, '3': 1, '4': 1, '5': 1, '6': 1, '7': 0, '8': 0, '9': 0, '10': -1, 'J': -1, 'Q': -1, 'K': -1 },
-    'hi-opt2': { 'A': 0, '2': 1, '3': 1, '4': 2, '5': 2, '6': 1, '7': 1, '8': 0, '9': 0, '10': -2, 'J': -2, 'Q': -2, 'K': -2 }
+    'hi-lo': {
+        name: 'Hi-Lo',
+        balanced: true,
+        pivot: 0,
+        tags: { 'A': -1, '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 0, '8': 0, '9': 0, '10': -1, 'J': -1, 'Q': -1, 'K': -1 }
+    },
+    'ko': {
+        name: 'K-O',
+        balanced: false,
+        pivot: 4,
+        keyCounts: { 1: 2, 2: 1, 6: -4, 8: -6 },
+        tags: { 'A': -1, '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 1, '8': 0, '9': 0, '10': -1, 'J': -1, 'Q': -1, 'K': -1 }
+    },
+    'omega2': {
+        name: 'Omega II',
+        balanced: true,
+        pivot: 0,
+        tags: { 'A': 0, '2': 1, '3': 1, '4': 2, '5': 2, '6': 2, '7': 1, '8': 0, '9': -1, '10': -2, 'J': -2, 'Q': -2, 'K': -2 }
+    },
+    'hi-opt1': {
+        name: 'Hi-Opt I',
+        balanced: true,
+        pivot: 0,
+        tags: { 'A': 0, '2': 0, '3': 1, '4': 1, '5': 1, '6': 1, '7': 0, '8': 0, '9': 0, '10': -1, 'J': -1, 'Q': -1, 'K': -1 }
+    },
+    'hi-opt2': {
+        name: 'Hi-Opt II',
+        balanced: true,
+        pivot: 0,
+        tags: { 'A': 0, '2': 1, '3': 1, '4': 2, '5': 2, '6': 1, '7': 1, '8': 0, '9': 0, '10': -2, 'J': -2, 'Q': -2, 'K': -2 }
+    }
 };
 
+// How players read the true count at the table
+const TRUE_COUNT_ROUNDING = ['round', 'floor', 'truncate'];
+const DECK_ESTIMATION = ['exact', 'half-deck', 'discard-half', 'discard-full'];
+
+// Ranks that can be side counted alongside the main count
+const SIDE_COUNT_RANKS = ['A', '7', '5'];
+
+// Change in player edge (%) from removing one card of a rank from a single deck; weights the side counts
+const EFFECTS_OF_REMOVAL = { 'A': -0.61, '5': 0.69, '7': 0.28, '10': -0.51 };
+
+/**
+ * Sum of a system's tags over one 52-card deck (0 for a balanced count)
+ */
+function getDeckTagSum(system) {
+    return RANKS.reduce((sum, rank) => sum + (system.tags[rank] || 0), 0) * SUITS.length;
+}
+
+/**
+ * Initial running count for a system and shoe size
+ */
+function getInitialRunningCount(system, deckCount) {
+    if (system.balanced) return 0;
+    return (system.pivot || 0) - getDeckTagSum(system) * deckCount;
+}
+
+/**
+ * Key count for an unbalanced system, interpolated between the listed deck counts
+ * @returns {number|null} Running count to start raising bets, or null when the system has none
+ */
+function getKeyCount(system, deckCount) {
+    const keyCounts = system.keyCounts;
+    if (!keyCounts) return null;
+
+    const decks = Object.keys(keyCounts).map(Number).sort((a, b) => a - b);
+    if (deckCount <= decks[0]) return keyCounts[decks[0]];
+    for (let i = 1; i < decks.length; i++) {
+        if (deckCount <= decks[i]) {
+            const share = (deckCount - decks[i - 1]) / (decks[i] - decks[i - 1]);
+            return Math.round(keyCounts[decks[i - 1]] + share * (keyCounts[decks[i]] - keyCounts[decks[i - 1]]));
+        }
+    }
+    return keyCounts[decks[decks.length - 1]];
+}
+
+/**
+ * Variance of a counting system's tags per card, about their mean
+ * The mean is what an unbalanced count drifts by, which Deck.getTrueCount() takes out
+ */
+function getTagVariance(countingSystem) {
+    const system = COUNTING_SYSTEMS[countingSystem] || COUNTING_SYSTEMS['hi-lo'];
+    const values = RANKS.map(rank => system.tags[rank] || 0);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return values.reduce((sum, v) => sum + v * v, 0) / values.length - mean * mean;
+}
+
 /**
  * Creates a single card object
  * @param {string} suit - Card suit symbol
@@ -64,15 +152,19 @@ class Deck {
         this.cards = [];
         this.dealtCards = [];
         this.penetration = 0.75;
-        this.runningCount = 0;
         this.countingSystem = 'hi-lo';
+        this.runningCount = 0;
+        this.countedCards = 0;    // Cards seen since the shuffle
+        this.discardedCards = 0;  // Cards in the discard tray (dealt before the current round)
+        this.trueCountRounding = 'round';
+        this.deckEstimation = 'exact';
         this.initialize();
     }
 
     initialize() {
         this.cards = [];
         this.dealtCards = [];
-        this.runningCount = 0;
+        this.resetCount();
 
         for (let d = 0; d < this.deckCount; d++) {
             for (const suit of SUITS) {
@@ -102,7 +194,19 @@ class Deck {
         }
 
         this.dealtCards = [];
-        this.runningCount = 0;
+        this.discardedCards = 0;
+        this.resetCount();
+    }
+
+    get system() {
+        return COUNTING_SYSTEMS[this.countingSystem];
+    }
+
+    resetCount() {
+        this.runningCount = getInitialRunningCount(this.system, this.deckCount);
+        this.countedCards = 0;
+        this.sideCountsSeen = {};
+        SIDE_COUNT_RANKS.forEach(rank => { this.sideCountsSeen[rank] = 0; });
     }
 
     /**
@@ -124,29 +228,111 @@ class Deck {
      */
     updateCount(card) {
         if (!card || !card.faceUp) return;
-        const system = COUNTING_SYSTEMS[this.countingSystem];
-        if (system) {
-            this.runningCount += system[card.rank] || 0;
-        }
+        this.runningCount += this.system.tags[card.rank] || 0;
+        this.countedCards++;
+        if (card.rank in this.sideCountsSeen) this.sideCountsSeen[card.rank]++;
     }
 
     /**
      * Get the true count
+     * Unbalanced counts are first converted to the balanced count they stand for:
+     * the IRC and the expected drift of the cards seen are taken out before dividing
      */
     getTrueCount() {
-        const decksRemaining = this.cards.length / 52;
-        if (decksRemaining < 0.5) return this.runningCount;
-        return Math.round(this.runningCount / decksRemaining);
+        return this.roundTrueCount(this.getBalancedCount() / this.getTrueCountDivisor());
+    }
+
+    roundTrueCount(value) {
+        switch (this.trueCountRounding) {
+            case 'floor': return Math.floor(value) || 0;
+            case 'truncate': return Math.trunc(value) || 0;
+            default: return Math.round(value) || 0;
+        }
+    }
+
+    getBalancedCount() {
+        const drift = getDeckTagSum(this.system) * this.countedCards / 52;
+        return this.runningCount - getInitialRunningCount(this.system, this.deckCount) - drift;
+    }
+
+    /**
+     * Decks the running count is divided by, as the player would estimate them
+     * - exact: cards left in the shoe (the running count stands alone in the last half deck)
+     * - half-deck: shoe read to the nearest half deck
+     * - discard-half / discard-full: discard tray read to the half or whole deck, so cards
+     *   on the layout still count as undealt until the next round
+     */
+    getTrueCountDivisor() {
+        switch (this.deckEstimation) {
+            case 'half-deck':
+                return Math.max(0.5, Math.round(this.cards.length / 26) / 2);
+            case 'discard-half':
+                return Math.max(0.5, this.deckCount - Math.round(this.discardedCards / 26) / 2);
+            case 'discard-full':
+                return Math.max(1, this.deckCount - Math.round(this.discardedCards / 52));
+            default: {
+                const decksRemaining = this.cards.length / 52;
+                return decksRemaining < 0.5 ? 1 : decksRemaining;
+            }
+        }
+    }
+
+    /**
+     * Cards of a side-counted rank left in the shoe, against what an even shoe would hold
+     * @returns {Object} { seen, remaining, surplus } - surplus > 0 means the rest of the shoe is rich in the rank
+     */
+    getSideCount(rank) {
+        const seen = this.sideCountsSeen[rank] || 0;
+        const remaining = SUITS.length * this.deckCount - seen;
+        const unseen = this.deckCount * 52 - this.countedCards;
+        return { seen, remaining, surplus: remaining - unseen / RANKS.length };
+    }
+
+    /**
+     * True count corrected by side counts
+     * Each surplus card moves the count by the gap between its tag and the tag it should carry:
+     * for betting that follows the effects of removal, for insurance every non-ten counts alike
+     * @param {string[]} ranks - Side-counted ranks to apply
+     * @param {string} purpose - 'bet' | 'insurance'
+     */
+    getAdjustedTrueCount(ranks, purpose = 'bet') {
+        const level = Math.abs(this.system.tags['10'] || 1);
+        let adjustment = 0;
+
+        for (const rank of ranks) {
+            if (!SIDE_COUNT_RANKS.includes(rank)) continue;
+            const idealTag = purpose === 'insurance' ?
+                level * 4 / 9 :
+                level * EFFECTS_OF_REMOVAL[rank] / -EFFECTS_OF_REMOVAL['10'];
+            adjustment += ((this.system.tags[rank] || 0) - idealTag) * this.getSideCount(rank).surplus;
+        }
+
+        return this.roundTrueCount((this.getBalancedCount() + adjustment) / this.getTrueCountDivisor());
     }
 
     getRunningCount() {
         return this.runningCount;
     }
 
+    /**
+     * Running count at which to start raising bets, for unbalanced systems
+     */
+    getKeyCount() {
+        return getKeyCount(this.system, this.deckCount);
+    }
+
     setCountingSystem(system) {
-        if (COUNTING_SYSTEMS[system]) {
-            this.countingSystem = system;
-        }
+        if (!COUNTING_SYSTEMS[system] || system === this.countingSystem) return;
+        this.countingSystem = system;
+        this.recount();
+    }
+
+    /**
+     * Recount the cards already seen, after the system or its tags change
+     */
+    recount() {
+        this.resetCount();
+        this.dealtCards.forEach(card => this.updateCount(card));
     }
 
     needsReshuffle() {
@@ -166,7 +352,6 @@ class Deck {
     reshuffle() {
         this.cards = [...this.cards, ...this.dealtCards];
         this.dealtCards = [];
-        this.runningCount = 0;
         this.shuffle();
     }
 
@@ -179,6 +364,21 @@ class Deck {
     setPenetration(level) {
         this.penetration = Math.max(0.5, Math.min(1, level));
     }
+
+    /**
+     * Choose how the true count is estimated (see TRUE_COUNT_ROUNDING and DECK_ESTIMATION)
+     */
+    setTrueCountEstimation(rounding, deckEstimation) {
+        if (TRUE_COUNT_ROUNDING.includes(rounding)) this.trueCountRounding = rounding;
+        if (DECK_ESTIMATION.includes(deckEstimation)) this.deckEstimation = deckEstimation;
+    }
+
+    /**
+     * Move the cards of the finished round to the discard tray
+     */
+    collectDiscards() {
+        this.discardedCards = this.dealtCards.length;
+    }
 }
 
 /**
@@ -194,6 +394,10 @@ class Hand {
         this.isBusted = false;
         this.isSurrendered = false;
         this.insuranceBet = 0;
+        this.spot = 0;
+        this.isSplitAces = false;
+        this.isEarlySurrender = false;
+        this.isEvenMoney = false;
     }
 
     addCard(card) {
@@ -234,8 +438,12 @@ class Hand {
         return this.cards.length === 2 && this.getValue() === 21 && !this.isSplit;
     }
 
-    canSplit() {
+    /**
+     * @param {boolean} anyTenValue - Treat any two ten-value cards (e.g. K,Q) as a pair
+     */
+    canSplit(anyTenValue = false) {
         if (this.cards.length !== 2) return false;
+        if (anyTenValue && this.cards[0].value === 10) return this.cards[1].value === 10;
         return this.cards[0].rank === this.cards[1].rank;
     }
 
@@ -260,6 +468,10 @@ class Hand {
         this.isBusted = false;
         this.isSurrendered = false;
         this.insuranceBet = 0;
+        this.spot = 0;
+        this.isSplitAces = false;
+        this.isEarlySurrender = false;
+        this.isEvenMoney = false;
     }
 
     getValueDisplay() {
@@ -278,3 +490,10 @@ window.createCard = createCard;
 window.SUITS = SUITS;
 window.RANKS = RANKS;
 window.COUNTING_SYSTEMS = COUNTING_SYSTEMS;
+window.getDeckTagSum = getDeckTagSum;
+window.getInitialRunningCount = getInitialRunningCount;
+window.getKeyCount = getKeyCount;
+window.getTagVariance = getTagVariance;
+window.SIDE_COUNT_RANKS = SIDE_COUNT_RANKS;
+window.TRUE_COUNT_ROUNDING = TRUE_COUNT_ROUNDING;
+window.DECK_ESTIMATION = DECK_ESTIMATION;
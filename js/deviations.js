@@ -0,0 +1,403 @@
+/**
+ * Deviation Indices - True counts at which a play departs from basic strategy
+ * One index set per counting system and dealer soft 17 rule, editable by the player
+ *
+ * Index set format:
+ * - insurance: { threshold } - take insurance at TC >= threshold
+ * - plays: { 'total_upcard' | 'TT_upcard': entry } - upcard 11 is an ace, TT is a pair of tens
+ *   entry { threshold, action } plays action at TC >= threshold
+ *   entry { threshold, belowAction } plays belowAction at TC < threshold
+ * - surrender: { 'total_upcard': { threshold } } - late surrender at TC >= threshold, play on below it
+ */
+
+// Actions an index can call for
+const DEVIATION_ACTIONS = ['STAND', 'HIT', 'DOUBLE', 'SPLIT'];
+const MAX_INDEX = 20;
+
+/**
+ * Hi-Lo indices: the Illustrious 18 and the Fab 4 surrenders
+ */
+const HI_LO_INDICES = {
+    s17: {
+        insurance: { threshold: 3 },
+        plays: {
+            '16_10': { threshold: 0, action: 'STAND' },
+            '15_10': { threshold: 4, action: 'STAND' },
+            'TT_5': { threshold: 5, action: 'SPLIT' },
+            'TT_6': { threshold: 4, action: 'SPLIT' },
+            '10_10': { threshold: 4, action: 'DOUBLE' },
+            '12_3': { threshold: 2, action: 'STAND' },
+            '12_2': { threshold: 3, action: 'STAND' },
+            '11_11': { threshold: 1, action: 'DOUBLE' },
+            '9_2': { threshold: 1, action: 'DOUBLE' },
+            '10_11': { threshold: 4, action: 'DOUBLE' },
+            '9_7': { threshold: 3, action: 'DOUBLE' },
+            '16_9': { threshold: 5, action: 'STAND' },
+            // Stiff hands the chart stands on are hit in negative counts
+            '13_2': { threshold: -1, belowAction: 'HIT' },
+            '12_4': { threshold: 0, belowAction: 'HIT' },
+            '12_5': { threshold: -2, belowAction: 'HIT' },
+            '12_6': { threshold: -1, belowAction: 'HIT' },
+            '13_3': { threshold: -2, belowAction: 'HIT' }
+        },
+        surrender: {
+            '14_10': { threshold: 3 },
+            '15_10': { threshold: 0 },
+            '15_9': { threshold: 2 },
+            '15_11': { threshold: 1 }
+        }
+    }
+};
+
+// Hitting soft 17 makes the ace upcard stronger, so the ace indices come down
+HI_LO_INDICES.h17 = {
+    insurance: { ...HI_LO_INDICES.s17.insurance },
+    plays: {
+        ...HI_LO_INDICES.s17.plays,
+        // The H17 chart already doubles 11 v A, so the index is for hitting in negative counts
+        '11_11': { threshold: -1, belowAction: 'HIT' },
+        '10_11': { threshold: 3, action: 'DOUBLE' }
+    },
+    surrender: {
+        ...HI_LO_INDICES.s17.surrender,
+        '15_11': { threshold: -1 }
+    }
+};
+
+/**
+ * Indices for the other built-in systems, in each system's own true count.
+ * Each is where the two plays' EVs cross in a six-deck shoe whose make-up matches the count,
+ * as the strategy engine works them out, rounded to the nearest whole count; done the same way,
+ * Hi-Lo lands within one of the published indices above. The h17 sets list only what changes.
+ * K-O's are true counts too, since Deck.getTrueCount() converts its running count to a balanced one.
+ */
+const SYSTEM_INDICES = {
+    'ko': {
+        s17: {
+            insurance: { threshold: 3 },
+            plays: {
+                '16_10': { threshold: 1, action: 'STAND' },
+                '15_10': { threshold: 4, action: 'STAND' },
+                'TT_5': { threshold: 5, action: 'SPLIT' },
+                'TT_6': { threshold: 5, action: 'SPLIT' },
+                '10_10': { threshold: 3, action: 'DOUBLE' },
+                '12_3': { threshold: 1, action: 'STAND' },
+                '12_2': { threshold: 3, action: 'STAND' },
+                '11_11': { threshold: 1, action: 'DOUBLE' },
+                '9_2': { threshold: 1, action: 'DOUBLE' },
+                '10_11': { threshold: 4, action: 'DOUBLE' },
+                '9_7': { threshold: 3, action: 'DOUBLE' },
+                '16_9': { threshold: 8, action: 'STAND' },
+                '13_2': { threshold: -1, belowAction: 'HIT' },
+                '12_4': { threshold: 0, belowAction: 'HIT' },
+                '12_5': { threshold: -2, belowAction: 'HIT' },
+                '12_6': { threshold: -1, belowAction: 'HIT' },
+                '13_3': { threshold: -2, belowAction: 'HIT' }
+            },
+            surrender: {
+                '14_10': { threshold: 3 },
+                '15_10': { threshold: 0 },
+                '15_9': { threshold: 2 },
+                '15_11': { threshold: 2 }
+            }
+        },
+        h17: {
+            plays: {
+                'TT_6': { threshold: 4, action: 'SPLIT' },
+                '12_2': { threshold: 2, action: 'STAND' },
+                '11_11': { threshold: 0, belowAction: 'HIT' },
+                '10_11': { threshold: 3, action: 'DOUBLE' },
+                '12_4': { threshold: -1, belowAction: 'HIT' },
+                '12_6': { threshold: -4, belowAction: 'HIT' },
+                '13_3': { threshold: -3, belowAction: 'HIT' }
+            },
+            surrender: {
+                '15_11': { threshold: -1 }
+            }
+        }
+    },
+    'omega2': {
+        s17: {
+            insurance: { threshold: 5 },
+            plays: {
+                '16_10': { threshold: 1, action: 'STAND' },
+                '15_10': { threshold: 6, action: 'STAND' },
+                'TT_5': { threshold: 9, action: 'SPLIT' },
+                'TT_6': { threshold: 8, action: 'SPLIT' },
+                '10_10': { threshold: 8, action: 'DOUBLE' },
+                '12_3': { threshold: 2, action: 'STAND' },
+                '12_2': { threshold: 5, action: 'STAND' },
+                '11_11': { threshold: 2, action: 'DOUBLE' },
+                '9_2': { threshold: 1, action: 'DOUBLE' },
+                '10_11': { threshold: 7, action: 'DOUBLE' },
+                '9_7': { threshold: 5, action: 'DOUBLE' },
+                '16_9': { threshold: 9, action: 'STAND' },
+                '13_2': { threshold: -1, belowAction: 'HIT' },
+                '12_4': { threshold: 0, belowAction: 'HIT' },
+                '12_5': { threshold: -3, belowAction: 'HIT' },
+                '12_6': { threshold: -2, belowAction: 'HIT' },
+                '13_3': { threshold: -3, belowAction: 'HIT' }
+            },
+            surrender: {
+                '14_10': { threshold: 4 },
+                '15_10': { threshold: 0 },
+                '15_9': { threshold: 4 },
+                '15_11': { threshold: 3 }
+            }
+        },
+        h17: {
+            plays: {
+                'TT_6': { threshold: 7, action: 'SPLIT' },
+                '12_3': { threshold: 1, action: 'STAND' },
+                '12_2': { threshold: 4, action: 'STAND' },
+                '11_11': { threshold: -1, belowAction: 'HIT' },
+                '10_11': { threshold: 5, action: 'DOUBLE' },
+                '13_2': { threshold: -2, belowAction: 'HIT' },
+                '12_4': { threshold: -1, belowAction: 'HIT' },
+                '12_5': { threshold: -4, belowAction: 'HIT' },
+                '12_6': { threshold: -6, belowAction: 'HIT' },
+                '13_3': { threshold: -4, belowAction: 'HIT' }
+            },
+            surrender: {
+                '15_11': { threshold: -1 }
+            }
+        }
+    },
+    'hi-opt1': {
+        s17: {
+            insurance: { threshold: 3 },
+            plays: {
+                '16_10': { threshold: 1, action: 'STAND' },
+                '15_10': { threshold: 3, action: 'STAND' },
+                'TT_5': { threshold: 5, action: 'SPLIT' },
+                'TT_6': { threshold: 4, action: 'SPLIT' },
+                '10_10': { threshold: 4, action: 'DOUBLE' },
+                '12_3': { threshold: 1, action: 'STAND' },
+                '12_2': { threshold: 2, action: 'STAND' },
+                '11_11': { threshold: 1, action: 'DOUBLE' },
+                '9_2': { threshold: 0, action: 'DOUBLE' },
+                '10_11': { threshold: 3, action: 'DOUBLE' },
+                '9_7': { threshold: 3, action: 'DOUBLE' },
+                '16_9': { threshold: 4, action: 'STAND' },
+                '13_2': { threshold: -1, belowAction: 'HIT' },
+                '12_4': { threshold: 0, belowAction: 'HIT' },
+                '12_5': { threshold: -2, belowAction: 'HIT' },
+                '12_6': { threshold: -1, belowAction: 'HIT' },
+                '13_3': { threshold: -2, belowAction: 'HIT' }
+            },
+            surrender: {
+                '14_10': { threshold: 3 },
+                '15_10': { threshold: 0 },
+                '15_9': { threshold: 2 },
+                '15_11': { threshold: 1 }
+            }
+        },
+        h17: {
+            plays: {
+                '11_11': { threshold: 0, belowAction: 'HIT' },
+                '12_4': { threshold: -1, belowAction: 'HIT' },
+                '12_6': { threshold: -3, belowAction: 'HIT' }
+            },
+            surrender: {
+                '15_11': { threshold: -1 }
+            }
+        }
+    },
+    'hi-opt2': {
+        s17: {
+            insurance: { threshold: 4 },
+            plays: {
+                '16_10': { threshold: 1, action: 'STAND' },
+                '15_10': { threshold: 6, action: 'STAND' },
+                'TT_5': { threshold: 9, action: 'SPLIT' },
+                'TT_6': { threshold: 8, action: 'SPLIT' },
+                '10_10': { threshold: 7, action: 'DOUBLE' },
+                '12_3': { threshold: 2, action: 'STAND' },
+                '12_2': { threshold: 4, action: 'STAND' },
+                '11_11': { threshold: 2, action: 'DOUBLE' },
+                '9_2': { threshold: 1, action: 'DOUBLE' },
+                '10_11': { threshold: 6, action: 'DOUBLE' },
+                '9_7': { threshold: 5, action: 'DOUBLE' },
+                '16_9': { threshold: 7, action: 'STAND' },
+                '13_2': { threshold: -1, belowAction: 'HIT' },
+                '12_4': { threshold: 0, belowAction: 'HIT' },
+                '12_5': { threshold: -3, belowAction: 'HIT' },
+                '12_6': { threshold: -2, belowAction: 'HIT' },
+                '13_3': { threshold: -3, belowAction: 'HIT' }
+            },
+            surrender: {
+                '14_10': { threshold: 5 },
+                '15_10': { threshold: 0 },
+                '15_9': { threshold: 4 },
+                '15_11': { threshold: 3 }
+            }
+        },
+        h17: {
+            plays: {
+                'TT_6': { threshold: 7, action: 'SPLIT' },
+                '12_3': { threshold: 1, action: 'STAND' },
+                '12_2': { threshold: 3, action: 'STAND' },
+                '11_11': { threshold: -1, belowAction: 'HIT' },
+                '10_11': { threshold: 4, action: 'DOUBLE' },
+                '13_2': { threshold: -2, belowAction: 'HIT' },
+                '12_4': { threshold: -1, belowAction: 'HIT' },
+                '12_6': { threshold: -5, belowAction: 'HIT' },
+                '13_3': { threshold: -4, belowAction: 'HIT' }
+            },
+            surrender: {
+                '15_11': { threshold: -2 }
+            }
+        }
+    }
+};
+
+// Sets the player has edited, keyed by getIndexSetKey()
+const EDITED_INDEX_SETS = {};
+
+function getIndexSetKey(countingSystem, h17) {
+    return `${countingSystem}:${h17 ? 'h17' : 's17'}`;
+}
+
+/**
+ * Copy of an index set with every threshold scaled and rounded
+ */
+function scaleIndexSet(indexSet, factor) {
+    const scale = (entries) => {
+        const scaled = {};
+        for (const key of Object.keys(entries)) {
+            scaled[key] = { ...entries[key], threshold: Math.round(entries[key].threshold * factor) || 0 };
+        }
+        return scaled;
+    };
+    return {
+        insurance: { threshold: Math.round(indexSet.insurance.threshold * factor) },
+        plays: scale(indexSet.plays),
+        surrender: scale(indexSet.surrender)
+    };
+}
+
+/**
+ * Built-in indices for a system. A player-defined system has no table, so its set is
+ * estimated from Hi-Lo and marked estimated: a count whose tags spread wider reaches
+ * larger true counts, so its indices grow with the spread.
+ */
+function getDefaultIndexSet(countingSystem, h17) {
+    const hiLo = HI_LO_INDICES[h17 ? 'h17' : 's17'];
+    if (countingSystem === 'hi-lo' || !COUNTING_SYSTEMS[countingSystem]) return scaleIndexSet(hiLo, 1);
+
+    const tables = SYSTEM_INDICES[countingSystem];
+    if (tables) {
+        const changes = h17 ? tables.h17 : {};
+        return scaleIndexSet({
+            insurance: changes.insurance || tables.s17.insurance,
+            plays: { ...tables.s17.plays, ...changes.plays },
+            surrender: { ...tables.s17.surrender, ...changes.surrender }
+        }, 1);
+    }
+
+    const estimate = scaleIndexSet(hiLo, Math.sqrt(getTagVariance(countingSystem) / getTagVariance('hi-lo')));
+    return { ...estimate, estimated: true };
+}
+
+/**
+ * Index set in force for a counting system and soft 17 rule
+ */
+function getIndexSet(countingSystem, h17) {
+    return EDITED_INDEX_SETS[getIndexSetKey(countingSystem, h17)] || getDefaultIndexSet(countingSystem, h17);
+}
+
+/**
+ * Check an index before it goes into a set
+ * @returns {string|null} The problem, or null when the entry is usable
+ */
+function validateIndexEntry(category, key, entry) {
+    if (!entry || !isFinite(entry.threshold) || Math.abs(entry.threshold) > MAX_INDEX) {
+        return `Index must be a true count between -${MAX_INDEX} and +${MAX_INDEX}`;
+    }
+    if (category === 'insurance') return null;
+
+    const match = /^(TT|\d+)_(\d+)$/.exec(key);
+    const total = match && match[1] !== 'TT' ? parseInt(match[1]) : null;
+    const upcard = match ? parseInt(match[2]) : 0;
+    if (!match || upcard < 2 || upcard > 11 || (total !== null && (total < 4 || total > 20))) {
+        return 'Pick a hand total from 4 to 20 and a dealer upcard';
+    }
+
+    if (category === 'surrender') return match[1] === 'TT' ? 'Tens are split or stood, not surrendered' : null;
+    const action = entry.action || entry.belowAction;
+    if (!DEVIATION_ACTIONS.includes(action)) return 'Pick the play the index calls for';
+    if (match[1] === 'TT' && action !== 'SPLIT') return 'Pair of tens indices are for splitting';
+    return null;
+}
+
+/**
+ * Edits, saves and restores the player's index sets
+ */
+class DeviationIndexManager {
+    constructor(game) {
+        this.game = game;
+        this.loadPreferences();
+    }
+
+    isEdited(countingSystem, h17) {
+        return !!EDITED_INDEX_SETS[getIndexSetKey(countingSystem, h17)];
+    }
+
+    /**
+     * Add, change or (with a null entry) remove one index
+     * @param {string} category - 'plays', 'surrender' or 'insurance'
+     * @returns {string|null} Why the index was rejected, or null once saved
+     */
+    setIndex(countingSystem, h17, category, key, entry) {
+        if (entry) {
+            const error = validateIndexEntry(category, key, entry);
+            if (error) return error;
+        }
+
+        const set = JSON.parse(JSON.stringify(getIndexSet(countingSystem, h17)));
+        if (category === 'insurance') {
+            if (!entry) return 'Insurance always has an index';
+            set.insurance = { threshold: Number(entry.threshold) };
+        } else if (entry) {
+            set[category][key] = entry.belowAction ?
+                { threshold: Number(entry.threshold), belowAction: entry.belowAction } :
+                { threshold: Number(entry.threshold), ...(category === 'plays' && { action: entry.action }) };
+        } else {
+            delete set[category][key];
+        }
+
+        EDITED_INDEX_SETS[getIndexSetKey(countingSystem, h17)] = set;
+        this.savePreferences();
+        return null;
+    }
+
+    resetSet(countingSystem, h17) {
+        delete EDITED_INDEX_SETS[getIndexSetKey(countingSystem, h17)];
+        this.savePreferences();
+    }
+
+    savePreferences() {
+        try {
+            localStorage.setItem('blackjack_deviation_indices', JSON.stringify(EDITED_INDEX_SETS));
+        } catch (e) { }
+    }
+
+    loadPreferences() {
+        try {
+            const saved = localStorage.getItem('blackjack_deviation_indices');
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                for (const key of Object.keys(parsed)) {
+                    const set = parsed[key];
+                    if (set && set.insurance && set.plays && set.surrender) EDITED_INDEX_SETS[key] = set;
+                }
+            }
+        } catch (e) { }
+    }
+}
+
+// Export
+window.DeviationIndexManager = DeviationIndexManager;
+window.DEVIATION_ACTIONS = DEVIATION_ACTIONS;
+window.getIndexSet = getIndexSet;
+window.getDefaultIndexSet = getDefaultIndexSet;
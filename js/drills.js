@@ -0,0 +1,549 @@
+/**
+ * Training Drills - Counting and strategy exercises played away from the table
+ * Drill logic and records only; the training modal in ui-modern.js runs them
+ */
+
+const DRILL_CONFIG = {
+    DECK_INTERVAL_MS: 1000,     // Starting time each flip stays up
+    MIN_INTERVAL_MS: 150,
+    MAX_INTERVAL_MS: 3000,
+    SPEED_UP: 0.85,             // Interval multiplier after a correct count
+    SLOW_DOWN: 1.15,            // Interval multiplier after a miss
+    MAX_HELD_BACK: 12,          // Cards left face down so a balanced count does not always end at 0
+    MIN_SHOE_DEPTH: 0.05,       // Shallowest point of the shoe a true count question starts from
+    CHECKPOINT_CHANCE: 0.2,     // Chance of a count check before any round in random mode
+    // Flashcards: questions until a hand in each box is due again; a miss drops it to box 0
+    FLASHCARD_INTERVALS: [2, 6, 15, 40, 100],
+    FLASHCARD_NEXT_MS: 700,     // Pause before the next hand after a right answer
+    FLASHCARD_MISS_MS: 2000,    // Longer after a miss, to read the right play
+    QUIZ_COUNT_STEPS: [0, 0, 1, 2]  // How far past a threshold a quiz count falls; 0 is the index itself
+};
+
+// Flashcard hands by category: hard and soft totals, and pairs by card value (11 is an ace)
+const FLASHCARD_CATEGORIES = {
+    hard: { label: 'Hard', values: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19] },
+    soft: { label: 'Soft', values: [13, 14, 15, 16, 17, 18, 19, 20] },
+    pairs: { label: 'Pairs', values: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11] }
+};
+const FLASHCARD_UPCARDS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+
+/**
+ * Whole-deck band a number of remaining decks falls in, like '2-3'
+ */
+function getDeckRange(decksRemaining) {
+    const low = Math.floor(decksRemaining);
+    return `${low}-${low + 1}`;
+}
+
+/**
+ * Grade the counts a player gives at a live-play checkpoint against the shoe
+ * @returns {Object} { runningCount, trueCount, runningError, trueError, correct } - errors are answer minus count
+ */
+function gradeCountCheckpoint(deck, runningAnswer, trueAnswer) {
+    const runningCount = deck.getRunningCount();
+    const trueCount = deck.getTrueCount();
+    const runningError = runningAnswer - runningCount;
+    const trueError = trueAnswer - trueCount;
+    return {
+        runningCount,
+        trueCount,
+        runningError,
+        trueError,
+        correct: runningError === 0 && trueError === 0
+    };
+}
+
+// Flashcard hands under a focus ('all', 'hard', 'soft' or 'pairs'), keyed like 'soft:18_6'
+function getFlashcardKeys(focus) {
+    const categories = FLASHCARD_CATEGORIES[focus] ? [focus] : Object.keys(FLASHCARD_CATEGORIES);
+    const keys = [];
+    for (const category of categories) {
+        for (const value of FLASHCARD_CATEGORIES[category].values) {
+            FLASHCARD_UPCARDS.forEach(upcard => keys.push(`${category}:${value}_${upcard}`));
+        }
+    }
+    return keys;
+}
+
+// A random suit of a card value (11 is an ace), with tens drawn from 10, J, Q and K
+function dealDrillCard(value, tenRank = null) {
+    const rank = value === 11 ? 'A' :
+        value === 10 ? tenRank || ['10', 'J', 'Q', 'K'][Math.floor(Math.random() * 4)] : String(value);
+    return createCard(SUITS[Math.floor(Math.random() * SUITS.length)], rank);
+}
+
+/**
+ * Two cards making a hand: 'pairs' by card value, 'soft' or 'hard' by total.
+ * Hard totals use two different non-ace cards where the total allows it.
+ */
+function dealDrillHand(category, value) {
+    if (category === 'pairs') {
+        const first = dealDrillCard(value);
+        return [first, dealDrillCard(value, first.rank)];
+    }
+    if (category === 'soft') return [dealDrillCard(11), dealDrillCard(value - 11)];
+
+    const splits = [];
+    for (let low = 2; low <= 10; low++) {
+        const high = value - low;
+        if (high >= 2 && high <= 10 && high !== low) splits.push([low, high]);
+    }
+    // Hard 4 and 20 only come as pairs
+    const [low, high] = splits.length > 0 ? splits[Math.floor(Math.random() * splits.length)] : [value / 2, value / 2];
+    return [dealDrillCard(low), dealDrillCard(high)];
+}
+
+/**
+ * Personal bests and adaptive settings per drill, plus this session's tallies
+ */
+class DrillRecords {
+    constructor() {
+        this.records = {};
+        this.session = {};
+        this.loadPreferences();
+    }
+
+    get(drill) {
+        return this.records[drill] || (this.records[drill] = {});
+    }
+
+    getSession(drill) {
+        return this.session[drill] || (this.session[drill] = { runs: 0, correct: 0, seconds: 0 });
+    }
+
+    /**
+     * Record a deck count run, adapt the flip speed and keep the best time per group size
+     * @returns {Object} { intervalMs, newBest } - intervalMs is the speed for the next run
+     */
+    recordDeckRun(result, groupSize, intervalMs) {
+        const session = this.getSession('deck');
+        session.runs++;
+        session.seconds += result.seconds;
+        if (result.correct) session.correct++;
+
+        const record = this.get('deck');
+        const factor = result.correct ? DRILL_CONFIG.SPEED_UP : DRILL_CONFIG.SLOW_DOWN;
+        record.intervalMs = Math.round(Math.max(DRILL_CONFIG.MIN_INTERVAL_MS,
+            Math.min(DRILL_CONFIG.MAX_INTERVAL_MS, intervalMs * factor)));
+
+        record.bests = record.bests || {};
+        const best = record.bests[groupSize];
+        const newBest = result.correct && (!best || result.deckSeconds < best.seconds);
+        if (newBest) record.bests[groupSize] = { seconds: result.deckSeconds, intervalMs, date: Date.now() };
+
+        this.savePreferences();
+        return { intervalMs: record.intervalMs, newBest };
+    }
+
+    /**
+     * Record a true count answer under the deck range it was asked at
+     */
+    recordTrueCountAnswer(result) {
+        const session = this.getSession('tc');
+        session.runs++;
+        session.seconds += result.seconds;
+        if (result.correct) session.correct++;
+
+        const record = this.get('tc');
+        record.ranges = record.ranges || {};
+        const range = record.ranges[result.range] || (record.ranges[result.range] = { answers: 0, correct: 0 });
+        range.answers++;
+        if (result.correct) range.correct++;
+
+        this.savePreferences();
+    }
+
+    /**
+     * Record a live-play count check, keeping hits and total misses for each count
+     */
+    recordCheckpoint(result) {
+        for (const tally of [this.getSession('checkpoint'), this.get('checkpoint')]) {
+            tally.checks = (tally.checks || 0) + 1;
+            tally.runningCorrect = (tally.runningCorrect || 0) + (result.runningError === 0 ? 1 : 0);
+            tally.trueCorrect = (tally.trueCorrect || 0) + (result.trueError === 0 ? 1 : 0);
+            tally.runningMiss = (tally.runningMiss || 0) + Math.abs(result.runningError);
+            tally.trueMiss = (tally.trueMiss || 0) + Math.abs(result.trueError);
+        }
+        this.savePreferences();
+    }
+
+    /**
+     * Record a flashcard answer and schedule the hand: a hit moves it up a box and further out,
+     * a miss drops it to box 0 so it comes back within a couple of cards
+     */
+    recordFlashcard(result) {
+        const session = this.getSession('flashcards');
+        session.runs++;
+        session.seconds += result.seconds;
+        if (result.correct) session.correct++;
+
+        const record = this.get('flashcards');
+        record.step = (record.step || 0) + 1;
+        record.cards = record.cards || {};
+        const card = record.cards[result.key] || { box: 1 };
+        card.box = result.correct ? Math.min(card.box + 1, DRILL_CONFIG.FLASHCARD_INTERVALS.length - 1) : 0;
+        card.due = record.step + DRILL_CONFIG.FLASHCARD_INTERVALS[card.box];
+        record.cards[result.key] = card;
+
+        for (const [group, id] of [['categories', result.category], ['upcards', result.upcard]]) {
+            record[group] = record[group] || {};
+            const tally = record[group][id] || (record[group][id] = { answers: 0, correct: 0 });
+            tally.answers++;
+            if (result.correct) tally.correct++;
+        }
+        this.savePreferences();
+    }
+
+    /**
+     * Record a deviation quiz answer, tallied by the index it was about
+     */
+    recordDeviationAnswer(result) {
+        const session = this.getSession('deviations');
+        session.runs++;
+        session.seconds += result.seconds;
+        if (result.correct) session.correct++;
+
+        const record = this.get('deviations');
+        record.indices = record.indices || {};
+        const tally = record.indices[result.id] || (record.indices[result.id] = { answers: 0, correct: 0 });
+        tally.answers++;
+        if (result.correct) tally.correct++;
+        this.savePreferences();
+    }
+
+    savePreferences() {
+        try {
+            localStorage.setItem('blackjack_drills', JSON.stringify(this.records));
+        } catch (e) { }
+    }
+
+    loadPreferences() {
+        try {
+            const saved = localStorage.getItem('blackjack_drills');
+            if (saved) this.records = JSON.parse(saved) || {};
+        } catch (e) { }
+    }
+}
+
+/**
+ * Count down a deck: one deck is flipped a group of cards at a time and the
+ * player gives the running count of what was shown
+ */
+class DeckCountDrill {
+    /**
+     * @param {Object} options - { countingSystem, groupSize: 1 to 3 cards per flip }
+     */
+    constructor(options) {
+        this.countingSystem = COUNTING_SYSTEMS[options.countingSystem] ? options.countingSystem : 'hi-lo';
+        this.groupSize = Math.max(1, Math.min(3, parseInt(options.groupSize) || 1));
+    }
+
+    start() {
+        this.deck = new Deck(1);
+        this.deck.setCountingSystem(this.countingSystem);
+        this.deck.shuffle();
+
+        this.startingCount = this.deck.getRunningCount();
+        this.total = 52 - (1 + Math.floor(Math.random() * DRILL_CONFIG.MAX_HELD_BACK));
+        this.shown = 0;
+        this.startedAt = Date.now();
+    }
+
+    get done() {
+        return this.shown >= this.total;
+    }
+
+    /**
+     * Flip the next group
+     * @returns {Object[]|null} Cards shown, or null once the run is over
+     */
+    nextGroup() {
+        if (this.done) return null;
+
+        const cards = [];
+        const size = Math.min(this.groupSize, this.total - this.shown);
+        for (let i = 0; i < size; i++) {
+            const card = this.deck.deal();
+            this.deck.updateCount(card);
+            cards.push(card);
+        }
+        this.shown += size;
+        return cards;
+    }
+
+    /**
+     * Check the player's running count
+     * @returns {Object} { correct, expected, answer, seconds, deckSeconds } - deckSeconds scales the time to 52 cards
+     */
+    submit(answer) {
+        const seconds = (Date.now() - this.startedAt) / 1000;
+        const expected = this.deck.getRunningCount();
+        return {
+            correct: answer === expected,
+            expected,
+            answer,
+            seconds,
+            deckSeconds: seconds * 52 / this.total
+        };
+    }
+}
+
+/**
+ * True count conversion: a shoe is dealt to a random depth, and the player turns the
+ * running count into a true count from the look of the discard tray or the shoe
+ */
+class TrueCountDrill {
+    /**
+     * @param {Object} options - { deckCount, countingSystem, trueCountRounding, deckEstimation, penetration }
+     *   Answers are graded with the same rounding and deck estimation as Deck.getTrueCount()
+     */
+    constructor(options) {
+        this.options = options;
+    }
+
+    /**
+     * Deal a new shoe to a random point before the cut card
+     * @returns {Object} { runningCount, dealt, remaining, total }
+     */
+    next() {
+        const o = this.options;
+        this.deck = new Deck(o.deckCount || 6);
+        this.deck.setCountingSystem(o.countingSystem || 'hi-lo');
+        this.deck.setTrueCountEstimation(o.trueCountRounding, o.deckEstimation);
+        this.deck.shuffle();
+
+        const total = this.deck.total;
+        const depth = DRILL_CONFIG.MIN_SHOE_DEPTH + Math.random() * ((o.penetration || 0.75) - DRILL_CONFIG.MIN_SHOE_DEPTH);
+        const dealt = Math.floor(total * depth);
+        for (let i = 0; i < dealt; i++) this.deck.updateCount(this.deck.deal());
+        this.deck.collectDiscards();
+
+        this.askedAt = Date.now();
+        this.question = { runningCount: this.deck.getRunningCount(), dealt, remaining: total - dealt, total };
+        return this.question;
+    }
+
+    /**
+     * Grade a true count
+     * @returns {Object} { correct, expected, answer, divisor, decksRemaining, range, seconds }
+     */
+    submit(answer) {
+        const expected = this.deck.getTrueCount();
+        const decksRemaining = this.question.remaining / 52;
+        return {
+            correct: answer === expected,
+            expected,
+            answer,
+            divisor: this.deck.getTrueCountDivisor(),
+            decksRemaining,
+            range: getDeckRange(decksRemaining),
+            seconds: (Date.now() - this.askedAt) / 1000
+        };
+    }
+}
+
+/**
+ * Basic strategy flashcards: a two-card hand against an upcard, graded by the chart for the table's rules.
+ * Hands are drawn by spaced repetition from the progress DrillRecords keeps.
+ */
+class StrategyFlashcards {
+    /**
+     * @param {Object} options - { rules: strategy rules, canSurrender, focus: 'all', 'hard', 'soft' or 'pairs' }
+     * @param {Object} progress - DrillRecords.get('flashcards')
+     */
+    constructor(options, progress) {
+        this.options = options;
+        this.progress = progress;
+        this.keys = getFlashcardKeys(options.focus);
+    }
+
+    /**
+     * Pick the next hand: among those due, the lowest box first, so misses return before new hands
+     * @returns {Object} { key, category, value, upcard, playerCards, dealerCard }
+     */
+    next() {
+        const cards = this.progress.cards || {};
+        const step = this.progress.step || 0;
+        const state = (key) => cards[key] || { box: 1, due: 0 };
+
+        let pool = this.keys.filter(key => state(key).due <= step && key !== this.question?.key);
+        if (pool.length === 0) {
+            const soonest = Math.min(...this.keys.map(key => state(key).due));
+            pool = this.keys.filter(key => state(key).due === soonest);
+        }
+        const lowestBox = Math.min(...pool.map(key => state(key).box));
+        pool = pool.filter(key => state(key).box === lowestBox);
+
+        const key = pool[Math.floor(Math.random() * pool.length)];
+        const [, category, value, upcard] = /^(\w+):(\d+)_(\d+)$/.exec(key);
+        this.question = {
+            key,
+            category,
+            value: parseInt(value),
+            upcard: parseInt(upcard),
+            playerCards: dealDrillHand(category, parseInt(value)),
+            dealerCard: dealDrillCard(parseInt(upcard))
+        };
+        this.askedAt = Date.now();
+        return this.question;
+    }
+
+    /**
+     * Grade an action against basic strategy, without count deviations
+     * @returns {Object} { correct, expected, answer, key, category, upcard, seconds }
+     */
+    submit(action) {
+        const q = this.question;
+        const hand = new Hand();
+        q.playerCards.forEach(card => hand.addCard(card));
+
+        const rules = this.options.rules;
+        const expected = getBasicStrategyRecommendation(hand, q.dealerCard,
+            isDoubleTotalAllowed(hand.getValue(), rules.doubleOn), q.category === 'pairs',
+            !!this.options.canSurrender, null, rules);
+        return {
+            correct: action === expected,
+            expected,
+            answer: action,
+            key: q.key,
+            category: q.category,
+            upcard: q.upcard,
+            seconds: (Date.now() - this.askedAt) / 1000
+        };
+    }
+}
+
+/**
+ * Deviation quiz: a hand, upcard and true count on one side of an index, asking for the play.
+ * Every index in the set is asked once above or at its threshold and once below it per round.
+ */
+class DeviationQuiz {
+    /**
+     * @param {Object} options - { indexSet, rules: strategy rules, canSurrender, insurance: whether insurance is offered }
+     */
+    constructor(options) {
+        this.options = options;
+        this.queue = [];
+    }
+
+    /**
+     * Every index from both sides, shuffled. An index is left out when the play just below its
+     * threshold matches the play at it, like a stand index on a hand late surrender already gives up
+     * or a double on a total the table's doubling rule does not allow.
+     */
+    buildRound() {
+        const { indexSet, canSurrender, insurance } = this.options;
+        const indices = Object.keys(indexSet.plays).map(key => ({ category: 'plays', key, entry: indexSet.plays[key] }));
+        if (canSurrender) {
+            Object.keys(indexSet.surrender).forEach(key => {
+                indices.push({ category: 'surrender', key, entry: indexSet.surrender[key] });
+            });
+        }
+        if (insurance) indices.push({ category: 'insurance', key: 'insurance', entry: indexSet.insurance });
+
+        const round = [];
+        for (const index of indices) {
+            const sides = [true, false].map(above => ({ ...index, above, deal: this.deal(index.category, index.key) }));
+            const threshold = index.entry.threshold;
+            if (sides.every(({ deal }) => deal.play(threshold) !== deal.play(threshold - 1))) round.push(...sides);
+        }
+        for (let i = round.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [round[i], round[j]] = [round[j], round[i]];
+        }
+        this.roundSize = round.length;
+        return round;
+    }
+
+    /**
+     * Cards for an index, and the play they call for at a true count (null for basic strategy)
+     * @returns {Object} { upcard, dealerCard, playerCards, play(count) }
+     */
+    deal(category, key) {
+        if (category === 'insurance') {
+            const threshold = this.options.indexSet.insurance.threshold;
+            return {
+                upcard: 11,
+                dealerCard: dealDrillCard(11),
+                playerCards: dealDrillHand('hard', 5 + Math.floor(Math.random() * 15)),
+                play: (count) => count !== null && count >= threshold ? 'INSURANCE' : 'NO_INSURANCE'
+            };
+        }
+
+        const [total, upcard] = key.split('_');
+        const dealerCard = dealDrillCard(parseInt(upcard));
+        const playerCards = total === 'TT' ? dealDrillHand('pairs', 10) : dealDrillHand('hard', parseInt(total));
+
+        // Pair splits only come up for tens; other indices are about the total
+        const hand = new Hand();
+        playerCards.forEach(card => hand.addCard(card));
+        const o = this.options;
+        const canDouble = isDoubleTotalAllowed(hand.getValue(), o.rules.doubleOn);
+        return {
+            upcard: parseInt(upcard),
+            dealerCard,
+            playerCards,
+            play: (count) => getBasicStrategyRecommendation(hand, dealerCard, canDouble, total === 'TT',
+                !!o.canSurrender, count, o.rules, o.indexSet)
+        };
+    }
+
+    get asked() {
+        return this.roundSize - this.queue.length;
+    }
+
+    /**
+     * Next question in the round, with the play the count calls for and the basic strategy play
+     * @returns {Object} { category, key, entry, upcard, playerCards, dealerCard, trueCount, expected, basic }
+     */
+    next() {
+        if (this.queue.length === 0) this.queue = this.buildRound();
+        const { category, key, entry, above, deal } = this.queue.pop();
+
+        const steps = DRILL_CONFIG.QUIZ_COUNT_STEPS;
+        const step = steps[Math.floor(Math.random() * steps.length)];
+        const trueCount = above ? entry.threshold + step : entry.threshold - 1 - step;
+
+        this.question = {
+            category,
+            key,
+            entry,
+            trueCount,
+            upcard: deal.upcard,
+            dealerCard: deal.dealerCard,
+            playerCards: deal.playerCards,
+            expected: deal.play(trueCount),
+            basic: deal.play(null)
+        };
+        this.askedAt = Date.now();
+        return this.question;
+    }
+
+    /**
+     * Grade a play
+     * @returns {Object} { correct, expected, basic, deviation, answer, id, seconds } - deviation is whether the count changes the play
+     */
+    submit(action) {
+        const q = this.question;
+        return {
+            correct: action === q.expected,
+            expected: q.expected,
+            basic: q.basic,
+            deviation: q.expected !== q.basic,
+            answer: action,
+            id: `${q.category}:${q.key}`,
+            seconds: (Date.now() - this.askedAt) / 1000
+        };
+    }
+}
+
+// Export
+window.DRILL_CONFIG = DRILL_CONFIG;
+window.FLASHCARD_CATEGORIES = FLASHCARD_CATEGORIES;
+window.FLASHCARD_UPCARDS = FLASHCARD_UPCARDS;
+window.StrategyFlashcards = StrategyFlashcards;
+window.DeviationQuiz = DeviationQuiz;
+window.gradeCountCheckpoint = gradeCountCheckpoint;
+window.DrillRecords = DrillRecords;
+window.DeckCountDrill = DeckCountDrill;
+window.TrueCountDrill = TrueCountDrill;
@@ -7,6 +7,7 @@
 const GameState = {
     BETTING: 'betting',
     DEALING: 'dealing',
+    EARLY_SURRENDER: 'early_surrender',
     INSURANCE: 'insurance',
     PLAYER_TURN: 'player_turn',
     DEALER_TURN: 'dealer_turn',
@@ -19,7 +20,8 @@ const ResultType = {
     LOSE: 'lose',
     PUSH: 'push',
     BLACKJACK: 'blackjack',
-    SURRENDER: 'surrender'
+    SURRENDER: 'surrender',
+    EVEN_MONEY: 'even_money'
 };
 
 // === Configuration Constants ===
@@ -31,7 +33,11 @@ const CONFIG = {
     INSURANCE_PAYS: 2,
     EXPIRATION_MS: 7 * 24 * 60 * 60 * 1000,
     CARD_DEAL_DELAY: 180,
-    DEALER_TURN_DELAY: 500
+    DEALER_TURN_DELAY: 500,
+    MAX_SPOTS: 7,
+    MAX_HANDS_PER_SPOT: 4,
+    HISTORY_LENGTH: 50,
+    BET_ADVICE_TOLERANCE: 0.25     // A bet within 25% of the advised bet counts as on the ramp
 };
 
 /**
@@ -46,7 +52,8 @@ class BlackjackGame {
 
         this.state = GameState.BETTING;
         this.balance = CONFIG.DEFAULT_BALANCE;
-        this.currentBet = 0;
+        this.currentBet = 0;      // Bet per spot
+        this.spotCount = 1;       // Spots funded by the last placeBet()
 
         this.settings = {
             deckCount: 6,
@@ -54,15 +61,30 @@ class BlackjackGame {
             blackjackPays: CONFIG.BLACKJACK_PAYS,
             doubleAfterSplit: true,
             resplitAces: false,
-            surrenderAllowed: true,
+            splitAcesOneCard: true,   // Split aces get one card each and stand
+            maxSplitHands: CONFIG.MAX_HANDS_PER_SPOT,
+            splitAnyTen: false,       // true = any two ten-value cards split, false = same rank only
+            doubleOn: 'any2',         // 'any2' | '9-11' | '10-11' | 'any' (any number of cards)
+            doubleForLess: false,     // Allow doubling for less than the full bet
+            surrenderMode: 'late',   // 'none' | 'late' | 'early' (vs 10 & A) | 'early-ace' | 'early-ten'
             insuranceAllowed: true,
             countingEnabled: false,
             countingSystem: 'hi-lo',
+            trueCountRounding: 'round',   // 'round' | 'floor' | 'truncate'
+            deckEstimation: 'exact',      // 'exact' | 'half-deck' | 'discard-half' | 'discard-full'
             minBet: CONFIG.MIN_BET,
             maxBet: CONFIG.MAX_BET,
             autoStandOn21: true,
             numHands: 1,
-            dealerHoleCard: true  // true = face-down hole card (American), false = all cards face-up
+            dealerHoleCard: true,  // true = face-down hole card (American), false = all cards face-up
+            dealerPeek: true,      // Dealer checks for blackjack under an Ace or ten-value upcard
+            enhc: false,           // European no hole card - dealer's second card comes after players act
+            dealerBlackjackLoses: 'original',  // 'original' | 'all' - what a dealer blackjack found after play takes
+            betAdvisor: 'off',     // 'off' | 'ramp' | 'kelly' - how the suggested bet is sized
+            betUnit: CONFIG.MIN_BET,
+            betRamp: [1, 1, 2, 4, 8, 12],  // Units at TC <= 0, +1, +2, ... (see getRampUnits)
+            kellyFraction: 0.5,
+            sideCounts: []         // Side-counted ranks from SIDE_COUNT_RANKS, applied to bets and insurance
         };
 
         this.stats = {
@@ -75,6 +97,16 @@ class BlackjackGame {
             netProfit: 0
         };
 
+        // Most recent rounds first, capped at CONFIG.HISTORY_LENGTH
+        this.handHistory = [];
+
+        // Advice for the bet in play, and how closely bets followed it this session
+        this.roundBetAdvice = null;
+        this.betDiscipline = { rounds: 0, onRamp: 0, over: 0, under: 0 };
+
+        // Shoe EV tables for the last decision, keyed by unseen cards and upcard
+        this.evCache = { key: null, evs: null };
+
         // Callbacks
         this.onStateChange = null;
         this.onCardDealt = null;
@@ -82,6 +114,7 @@ class BlackjackGame {
         this.onBalanceChange = null;
         this.onCountUpdate = null;
         this.onInsurancePrompt = null;
+        this.onEarlySurrenderPrompt = null;
         this.onReshuffle = null;
 
         this.loadAllData();
@@ -92,111 +125,287 @@ class BlackjackGame {
         return this.playerHands[this.currentHandIndex];
     }
 
+    /**
+     * Number of spots played per round, from settings.numHands
+     */
+    getSpotCount() {
+        const spots = parseInt(this.settings.numHands) || 1;
+        return Math.max(1, Math.min(CONFIG.MAX_SPOTS, spots));
+    }
+
+    /**
+     * Place the same bet on every spot
+     * @param {number} amount - Bet per spot
+     */
     placeBet(amount) {
         if (this.state !== GameState.BETTING) return false;
         if (amount < this.settings.minBet || amount > this.settings.maxBet) return false;
-        if (amount > this.balance) return false;
 
+        const spots = this.getSpotCount();
+        const total = amount * spots;
+        if (total > this.balance) return false;
+
+        this.recordBetAdvice(amount);
         this.currentBet = amount;
-        this.balance -= amount;
-        this.playerHands[0].bet = amount;
-        this.stats.totalWagered += amount;
+        this.spotCount = spots;
+        this.balance -= total;
+        this.stats.totalWagered += total;
 
         this.notifyBalanceChange();
         this.saveBalance();
         return true;
     }
 
+    /**
+     * Suggested bet per spot for the current true count
+     * @returns {Object|null} { mode, trueCount, edge, units, bet } or null when the advisor is off
+     */
+    getBetAdvice() {
+        const mode = this.settings.betAdvisor;
+        if (mode !== 'ramp' && mode !== 'kelly') return null;
+
+        const s = this.settings;
+        const spots = this.getSpotCount();
+        const trueCount = this.getBettingTrueCount();
+        const edge = getTrueCountEdge(s, trueCount, s.countingSystem);
+
+        let units = null;
+        let bet;
+        if (mode === 'kelly') {
+            bet = getKellyBet(this.balance, edge, s.kellyFraction, spots);
+        } else {
+            units = getRampUnits(s.betRamp, trueCount);
+            bet = units * s.betUnit;
+        }
+
+        // Whole dollars within the table limits and what the balance covers on every spot
+        bet = Math.max(s.minBet, Math.min(s.maxBet, Math.floor(this.balance / spots), Math.round(bet)));
+        return { mode, trueCount, edge, units, bet };
+    }
+
+    /**
+     * How a bet compares with the advice: 'on', 'over' or 'under'
+     */
+    getBetDiscipline(amount, advisedBet) {
+        if (amount > advisedBet * (1 + CONFIG.BET_ADVICE_TOLERANCE)) return 'over';
+        if (amount < advisedBet * (1 - CONFIG.BET_ADVICE_TOLERANCE)) return 'under';
+        return 'on';
+    }
+
+    recordBetAdvice(amount) {
+        const advice = this.getBetAdvice();
+        if (!advice) {
+            this.roundBetAdvice = null;
+            return;
+        }
+
+        const discipline = this.getBetDiscipline(amount, advice.bet);
+        this.roundBetAdvice = {
+            mode: advice.mode,
+            trueCount: advice.trueCount,
+            bet: amount,
+            advised: advice.bet,
+            discipline
+        };
+
+        this.betDiscipline.rounds++;
+        if (discipline === 'on') this.betDiscipline.onRamp++;
+        else this.betDiscipline[discipline]++;
+    }
+
     async deal() {
         if (this.currentBet === 0) return;
 
         if (this.deck.needsReshuffle()) {
             this.deck.reshuffle();
+            this.notifyCountUpdate();
             if (this.onReshuffle) this.onReshuffle();
         }
 
+        this.playerHands = [];
+        for (let spot = 0; spot < this.spotCount; spot++) {
+            const hand = new Hand();
+            hand.bet = this.currentBet;
+            hand.spot = spot;
+            this.playerHands.push(hand);
+        }
+        this.dealerHand.clear();
+        this.currentHandIndex = 0;
+
         this.state = GameState.DEALING;
         this.notifyStateChange();
 
-        this.playerHands = [new Hand()];
-        this.playerHands[0].bet = this.currentBet;
-        this.dealerHand.clear();
-        this.currentHandIndex = 0;
+        for (const { hand, faceUp } of getDealOrder(this.playerHands, this.dealerHand, this.settings)) {
+            await this.dealCardToHand(hand, faceUp);
+        }
 
-        // Deal cards
-        await this.dealCardToHand(this.currentHand, true);
-        await this.dealCardToHand(this.dealerHand, true);
-        await this.dealCardToHand(this.currentHand, true);
-        await this.dealCardToHand(this.dealerHand, !this.settings.dealerHoleCard); // face-down if hole card enabled
+        // Early surrender comes first, before insurance and the peek
+        const firstSurrenderIndex = this.findEarlySurrenderHand(0);
+        if (firstSurrenderIndex !== -1) {
+            this.currentHandIndex = firstSurrenderIndex;
+            this.state = GameState.EARLY_SURRENDER;
+            this.notifyStateChange();
+            if (this.onEarlySurrenderPrompt) {
+                this.onEarlySurrenderPrompt(this.currentHand, this.currentHandIndex);
+            }
+            return;
+        }
+
+        await this.offerInsurance();
+    }
+
+    /**
+     * Whether the surrender mode allows early surrender against the dealer upcard
+     */
+    isEarlySurrenderOffered() {
+        return isEarlySurrenderOffered(this.dealerHand.cards[0], this.settings);
+    }
+
+    /**
+     * Next hand from an index that gets an early surrender offer, or -1
+     */
+    findEarlySurrenderHand(fromIndex) {
+        if (!this.isEarlySurrenderOffered()) return -1;
+        for (let i = fromIndex; i < this.playerHands.length; i++) {
+            if (!this.playerHands[i].isBlackjack()) return i;
+        }
+        return -1;
+    }
+
+    async handleEarlySurrenderDecision(surrender) {
+        if (this.state !== GameState.EARLY_SURRENDER) return;
+
+        if (surrender) {
+            // Half the bet comes back even if the dealer turns out to have blackjack
+            this.currentHand.isSurrendered = true;
+            this.currentHand.isEarlySurrender = true;
+        }
+
+        const nextIndex = this.findEarlySurrenderHand(this.currentHandIndex + 1);
+        if (nextIndex !== -1) {
+            this.currentHandIndex = nextIndex;
+            this.notifyStateChange();
+            if (this.onEarlySurrenderPrompt) {
+                this.onEarlySurrenderPrompt(this.currentHand, this.currentHandIndex);
+            }
+            return;
+        }
 
+        this.currentHandIndex = 0;
+        await this.offerInsurance();
+    }
+
+    /**
+     * Offer insurance on an Ace, then let the dealer peek and start play
+     */
+    async offerInsurance() {
         const dealerUpCard = this.dealerHand.cards[0];
+        const hasLiveHand = this.playerHands.some(h => !h.isSurrendered);
 
-        // Check for insurance
-        if (dealerUpCard.isAce && this.settings.insuranceAllowed) {
+        // Check for insurance - offered before the dealer peeks
+        if (dealerUpCard.isAce && this.settings.insuranceAllowed && hasLiveHand) {
             this.state = GameState.INSURANCE;
             this.notifyStateChange();
             if (this.onInsurancePrompt) {
-                this.onInsurancePrompt(this.currentHand.bet / 2);
+                this.onInsurancePrompt(this.getInsuranceCost(), this.getEvenMoneyHands().length);
             }
             return;
         }
 
-        // Check for player blackjack
-        if (this.currentHand.isBlackjack()) {
-            await this.handleBlackjack();
-            return;
-        }
+        if (await this.peekForBlackjack()) return;
 
-        this.state = GameState.PLAYER_TURN;
-        this.notifyStateChange();
+        await this.beginPlayerTurn();
+    }
+
+    /**
+     * Whether the dealer checks the hole card under the current upcard and rules
+     */
+    canDealerPeek() {
+        return canDealerPeek(this.dealerHand.cards[0], this.settings);
+    }
+
+    /**
+     * Dealer peek: with an Ace or ten-value upcard the dealer checks for blackjack
+     * before anyone acts, so doubles and splits are never lost to it.
+     * @returns {boolean} true if the dealer had blackjack and the round was settled
+     */
+    async peekForBlackjack() {
+        if (!this.canDealerPeek() || !this.dealerHand.isBlackjack()) return false;
+
+        await this.revealHoleCard();
+        this.resolveHands();
+        return true;
+    }
+
+    /**
+     * Blackjack hands that are offered even money instead of insurance
+     */
+    getEvenMoneyHands() {
+        return this.playerHands.filter(hand => hand.isBlackjack());
+    }
+
+    /**
+     * Total cost of insuring every spot for half its bet.
+     * Blackjacks take even money instead, which costs nothing up front.
+     */
+    getInsuranceCost() {
+        return this.playerHands
+            .filter(hand => !hand.isSurrendered && !hand.isBlackjack())
+            .reduce((sum, hand) => sum + hand.bet / 2, 0);
     }
 
     async handleInsuranceDecision(takeInsurance) {
         if (this.state !== GameState.INSURANCE) return;
 
         if (takeInsurance) {
-            const insuranceAmount = this.currentHand.bet / 2;
-            if (insuranceAmount <= this.balance) {
+            // Even money pays a blackjack 1:1 on the spot, whatever the dealer holds
+            for (const hand of this.getEvenMoneyHands()) {
+                hand.isEvenMoney = true;
+                hand.isStood = true;
+                this.balance += hand.bet * 2;
+            }
+
+            // Insure the other spots in order while the balance covers them
+            for (const hand of this.playerHands) {
+                if (hand.isSurrendered || hand.isEvenMoney) continue;
+                const insuranceAmount = hand.bet / 2;
+                if (insuranceAmount > this.balance) break;
                 this.balance -= insuranceAmount;
-                this.currentHand.insuranceBet = insuranceAmount;
-                this.notifyBalanceChange();
+                hand.insuranceBet = insuranceAmount;
             }
+            this.notifyBalanceChange();
         }
 
-        // Check for dealer blackjack
-        if (this.dealerHand.isBlackjack()) {
-            this.dealerHand.cards[1].faceUp = true;
-            this.deck.updateCount(this.dealerHand.cards[1]);
-            this.notifyCountUpdate();
+        // Insurance is settled with the hands in resolveHands()
+        if (await this.peekForBlackjack()) return;
 
-            if (this.currentHand.insuranceBet > 0) {
-                this.balance += this.currentHand.insuranceBet * 3;
-                this.notifyBalanceChange();
-            }
+        await this.beginPlayerTurn();
+    }
 
-            if (this.currentHand.isBlackjack()) {
-                this.balance += this.currentHand.bet;
-                this.stats.handsPushed++;
-                this.notifyResult(ResultType.PUSH, 0);
-            } else {
-                this.stats.handsLost++;
-                this.stats.netProfit -= this.currentHand.bet;
-                this.notifyResult(ResultType.LOSE, -this.currentHand.bet);
-            }
-            this.endRound();
-            return;
+    /**
+     * Start play on the first spot that still needs a decision.
+     * Blackjacks stand automatically; if every spot is finished the dealer completes the round.
+     */
+    async beginPlayerTurn() {
+        for (const hand of this.playerHands) {
+            if (hand.isBlackjack()) hand.isStood = true;
         }
 
-        // No dealer blackjack - lost insurance bet
-        if (this.currentHand.isBlackjack()) {
-            await this.handleBlackjack();
+        this.currentHandIndex = 0;
+        this.state = GameState.PLAYER_TURN;
+
+        if (this.isHandFinished(this.currentHand)) {
+            await this.handleHandComplete();
             return;
         }
 
-        this.state = GameState.PLAYER_TURN;
         this.notifyStateChange();
     }
 
+    isHandFinished(hand) {
+        return hand.isStood || hand.isBusted || hand.isSurrendered;
+    }
+
     async dealCardToHand(hand, faceUp = true) {
         const card = this.deck.deal();
         card.faceUp = faceUp;
@@ -214,6 +423,7 @@ class BlackjackGame {
 
     async hit() {
         if (this.state !== GameState.PLAYER_TURN) return;
+        if (!this.canHit()) return;
 
         await this.dealCardToHand(this.currentHand, true);
 
@@ -234,15 +444,22 @@ class BlackjackGame {
         await this.handleHandComplete();
     }
 
-    async double() {
+    /**
+     * Double down for one card
+     * @param {number|null} amount - Amount to add when doubling for less; defaults to the full bet
+     */
+    async double(amount = null) {
         if (this.state !== GameState.PLAYER_TURN) return;
-        if (!this.currentHand.canDouble()) return;
+        if (!this.canDouble()) return;
 
-        const additionalBet = this.currentHand.bet;
-        if (additionalBet > this.balance) return;
+        let additionalBet = this.currentHand.bet;
+        if (this.settings.doubleForLess && amount !== null) {
+            additionalBet = Math.min(amount, this.currentHand.bet);
+        }
+        if (additionalBet <= 0 || additionalBet > this.balance) return;
 
         this.balance -= additionalBet;
-        this.currentHand.bet *= 2;
+        this.currentHand.bet += additionalBet;
         this.currentHand.isDoubled = true;
         this.stats.totalWagered += additionalBet;
 
@@ -256,7 +473,7 @@ class BlackjackGame {
 
     async split() {
         if (this.state !== GameState.PLAYER_TURN) return;
-        if (!this.currentHand.canSplit()) return;
+        if (!this.canSplit()) return;
 
         const additionalBet = this.currentHand.bet;
         if (additionalBet > this.balance) return;
@@ -264,90 +481,97 @@ class BlackjackGame {
         this.balance -= additionalBet;
         this.stats.totalWagered += additionalBet;
 
-        const newHand = new Hand();
-        newHand.bet = additionalBet;
-        newHand.isSplit = true;
-        newHand.addCard(this.currentHand.cards.pop());
+        splitHand(this.playerHands, this.currentHandIndex);
 
-        this.currentHand.isSplit = true;
-        this.playerHands.splice(this.currentHandIndex + 1, 0, newHand);
+        // Lay out the split hands before the next card arrives
+        this.notifyBalanceChange();
+        this.notifyStateChange();
 
         await this.dealCardToHand(this.currentHand, true);
 
-        this.notifyBalanceChange();
+        if (this.shouldStandSplitAces()) {
+            this.currentHand.isStood = true;
+            await this.handleHandComplete();
+            return;
+        }
+
         this.notifyStateChange();
     }
 
-    async surrender() {
-        if (this.state !== GameState.PLAYER_TURN) return;
-        if (this.currentHand.cards.length !== 2) return;
-        if (!this.settings.surrenderAllowed) return;
-
-        this.currentHand.isSurrendered = true;
-        const returnAmount = this.currentHand.bet / 2;
-        this.balance += returnAmount;
+    /**
+     * One card to split aces: the hand has drawn its card and only a resplit remains
+     */
+    isSplitAcesLocked(hand) {
+        return isSplitAcesLocked(hand, this.settings);
+    }
 
-        this.notifyBalanceChange();
-        await this.handleHandComplete();
+    /**
+     * Split aces stand on their one card unless a resplit is available
+     */
+    shouldStandSplitAces() {
+        return this.isSplitAcesLocked(this.currentHand) && !this.canSplit();
     }
 
-    async handleBlackjack() {
-        this.dealerHand.cards[1].faceUp = true;
-        this.deck.updateCount(this.dealerHand.cards[1]);
-        this.notifyCountUpdate();
+    async surrender() {
+        if (!this.canSurrender()) return;
 
-        if (this.dealerHand.isBlackjack()) {
-            this.balance += this.currentHand.bet;
-            this.stats.handsPushed++;
-            this.notifyResult(ResultType.PUSH, 0);
-        } else {
-            const winnings = this.currentHand.bet * (1 + this.settings.blackjackPays);
-            this.balance += winnings;
-            this.stats.handsWon++;
-            this.stats.blackjacks++;
-            this.stats.netProfit += winnings - this.currentHand.bet;
-            this.notifyResult(ResultType.BLACKJACK, winnings - this.currentHand.bet);
-        }
+        // Half the bet is returned when the hand is settled in resolveHands()
+        this.currentHand.isSurrendered = true;
 
-        this.notifyBalanceChange();
-        this.endRound();
+        await this.handleHandComplete();
     }
 
+    /**
+     * Move to the next hand that still needs a decision, dealing the second
+     * card to split hands on arrival. Hands for all spots are played in order.
+     */
     async handleHandComplete() {
-        if (this.currentHandIndex < this.playerHands.length - 1) {
+        while (this.currentHandIndex < this.playerHands.length - 1) {
             this.currentHandIndex++;
 
             if (this.currentHand.cards.length === 1) {
                 await this.dealCardToHand(this.currentHand, true);
+                if (this.shouldStandSplitAces()) this.currentHand.isStood = true;
             }
 
-            this.notifyStateChange();
-            return;
+            if (!this.isHandFinished(this.currentHand)) {
+                this.notifyStateChange();
+                return;
+            }
         }
 
         await this.dealerTurn();
     }
 
-    async dealerTurn() {
-        const allBustedOrSurrendered = this.playerHands.every(h => h.isBusted || h.isSurrendered);
+    async revealHoleCard() {
+        const holeCard = this.dealerHand.cards[1];
+        if (!holeCard || holeCard.faceUp) return;
 
-        if (allBustedOrSurrendered) {
-            this.dealerHand.cards[1].faceUp = true;
-            this.deck.updateCount(this.dealerHand.cards[1]);
-            this.notifyCountUpdate();
-            this.resolveHands();
-            return;
+        holeCard.faceUp = true;
+        this.deck.updateCount(holeCard);
+        this.notifyCountUpdate();
+
+        if (this.onCardDealt) {
+            await this.onCardDealt(holeCard, this.dealerHand, true);
         }
+    }
 
+    async dealerTurn() {
         this.state = GameState.DEALER_TURN;
         this.notifyStateChange();
 
-        this.dealerHand.cards[1].faceUp = true;
-        this.deck.updateCount(this.dealerHand.cards[1]);
-        this.notifyCountUpdate();
+        await this.revealHoleCard();
 
-        if (this.onCardDealt) {
-            await this.onCardDealt(this.dealerHand.cards[1], this.dealerHand, true);
+        // ENHC: the dealer's second card is drawn only now, after every spot has acted
+        if (this.dealerHand.cards.length === 1) {
+            await new Promise(resolve => setTimeout(resolve, CONFIG.DEALER_TURN_DELAY));
+            await this.dealCardToHand(this.dealerHand, true);
+        }
+
+        // Dealer only draws when a live hand is still waiting on the result
+        if (!isDealerPlayNeeded(this.playerHands)) {
+            this.resolveHands();
+            return;
         }
 
         while (this.shouldDealerHit()) {
@@ -359,65 +583,55 @@ class BlackjackGame {
     }
 
     shouldDealerHit() {
-        const value = this.dealerHand.getValue();
-        if (value < 17) return true;
-        if (value === 17 && this.dealerHand.isSoft() && this.settings.dealerHitsSoft17) {
-            return true;
-        }
-        return false;
+        return shouldDealerHit(this.dealerHand, this.settings);
     }
 
+    /**
+     * Settle every hand against the dealer.
+     * Reports the overall result plus one entry per hand: { index, spot, result, amount }
+     */
     resolveHands() {
         this.state = GameState.PAYOUT;
 
-        const dealerValue = this.dealerHand.getValue();
-        const dealerBusted = this.dealerHand.isBusted;
+        const outcomes = settleHands(this.playerHands, this.dealerHand, this.settings, this.currentBet);
         let totalWinnings = 0;
 
-        for (const hand of this.playerHands) {
-            const playerValue = hand.getValue();
-            let result;
-            let payout = 0;
-
-            if (hand.isSurrendered) {
-                result = ResultType.SURRENDER;
-                payout = hand.bet / 2;
-            } else if (hand.isBusted) {
-                result = ResultType.LOSE;
-                this.stats.handsLost++;
-                this.stats.netProfit -= hand.bet;
-            } else if (dealerBusted) {
-                result = ResultType.WIN;
-                payout = hand.bet * 2;
-                this.stats.handsWon++;
-                this.stats.netProfit += hand.bet;
-            } else if (playerValue > dealerValue) {
-                result = ResultType.WIN;
-                payout = hand.bet * 2;
+        const handResults = this.playerHands.map((hand, index) => {
+            const { result, payout, insuranceNet } = outcomes[index];
+            const amount = payout - hand.bet;
+
+            // Even money was already paid in handleInsuranceDecision()
+            if (!hand.isEvenMoney) this.balance += payout;
+            if (hand.insuranceBet > 0) this.balance += hand.insuranceBet + insuranceNet;
+
+            if (result === ResultType.WIN || result === ResultType.BLACKJACK || result === ResultType.EVEN_MONEY) {
                 this.stats.handsWon++;
-                this.stats.netProfit += hand.bet;
-            } else if (playerValue < dealerValue) {
-                result = ResultType.LOSE;
+            } else if (result === ResultType.LOSE) {
                 this.stats.handsLost++;
-                this.stats.netProfit -= hand.bet;
-            } else {
-                result = ResultType.PUSH;
-                payout = hand.bet;
+            } else if (result === ResultType.PUSH) {
                 this.stats.handsPushed++;
             }
+            if (result === ResultType.BLACKJACK) this.stats.blackjacks++;
+            this.stats.netProfit += amount + insuranceNet;
+            totalWinnings += amount + insuranceNet;
 
-            this.balance += payout;
-            totalWinnings += payout - hand.bet;
-        }
+            return { index, spot: hand.spot, result, amount };
+        });
 
-        this.stats.handsPlayed++;
+        this.stats.handsPlayed += this.playerHands.length;
         this.saveStats();
+        this.recordHistory(handResults);
 
         this.notifyBalanceChange();
 
-        const overallResult = totalWinnings > 0 ? ResultType.WIN :
-            totalWinnings < 0 ? ResultType.LOSE : ResultType.PUSH;
-        this.notifyResult(overallResult, totalWinnings);
+        let overallResult;
+        if (handResults.length === 1) {
+            overallResult = handResults[0].result;
+        } else {
+            overallResult = totalWinnings > 0 ? ResultType.WIN :
+                totalWinnings < 0 ? ResultType.LOSE : ResultType.PUSH;
+        }
+        this.notifyResult(overallResult, totalWinnings, handResults);
 
         this.endRound();
     }
@@ -430,14 +644,17 @@ class BlackjackGame {
     newRound() {
         this.playerHands = [new Hand()];
         this.dealerHand.clear();
+        this.deck.collectDiscards();
         this.currentHandIndex = 0;
         this.currentBet = 0;
         this.state = GameState.BETTING;
         this.notifyStateChange();
+        this.notifyCountUpdate();
     }
 
     reshuffle() {
         this.deck.reshuffle();
+        this.notifyCountUpdate();
         if (this.onReshuffle) this.onReshuffle();
     }
 
@@ -451,7 +668,8 @@ class BlackjackGame {
     canHit() {
         return this.state === GameState.PLAYER_TURN &&
             !this.currentHand.isStood &&
-            !this.currentHand.isBusted;
+            !this.currentHand.isBusted &&
+            !this.isSplitAcesLocked(this.currentHand);
     }
 
     canStand() {
@@ -461,25 +679,33 @@ class BlackjackGame {
     }
 
     canDouble() {
+        // Doubling for less only needs something left to add
+        const affordable = this.settings.doubleForLess ? this.balance > 0 : this.currentHand.bet <= this.balance;
+
         return this.state === GameState.PLAYER_TURN &&
-            this.currentHand.canDouble() &&
-            this.currentHand.bet <= this.balance &&
+            isDoubleAllowed(this.currentHand, this.settings) &&
+            affordable &&
             !this.currentHand.isStood;
     }
 
+    /**
+     * Largest amount the current hand can add when doubling
+     */
+    getMaxDoubleAmount() {
+        return Math.min(this.currentHand.bet, this.balance);
+    }
+
     canSplit() {
         if (this.state !== GameState.PLAYER_TURN) return false;
-        if (!this.currentHand.canSplit()) return false;
         if (this.currentHand.bet > this.balance) return false;
-        if (this.playerHands.length >= 4) return false;
-        return true;
+        return isSplitAllowed(this.currentHand, this.playerHands, this.settings);
     }
 
+    /**
+     * Late surrender - after the peek, on the first two cards. Early surrender is offered in deal().
+     */
     canSurrender() {
-        return this.state === GameState.PLAYER_TURN &&
-            this.settings.surrenderAllowed &&
-            this.currentHand.cards.length === 2 &&
-            !this.currentHand.isSplit;
+        return this.state === GameState.PLAYER_TURN && isLateSurrenderAllowed(this.currentHand, this.settings);
     }
 
     updateSettings(newSettings) {
@@ -493,14 +719,26 @@ class BlackjackGame {
             this.deck.setCountingSystem(newSettings.countingSystem);
         }
 
+        if (newSettings.trueCountRounding !== undefined || newSettings.deckEstimation !== undefined) {
+            this.deck.setTrueCountEstimation(this.settings.trueCountRounding, this.settings.deckEstimation);
+        }
+
+        if (newSettings.deckCount !== undefined || newSettings.countingSystem !== undefined ||
+            newSettings.trueCountRounding !== undefined || newSettings.deckEstimation !== undefined) {
+            this.notifyCountUpdate();
+        }
+
         this.saveSettings();
     }
 
-    getStrategyHint() {
+    /**
+     * @param {boolean} useCount - false to give the plain basic play, so the hint cannot reveal a hidden count
+     */
+    getStrategyHint(useCount = true) {
         if (this.state !== GameState.PLAYER_TURN) return null;
 
         // Pass true count when counting is enabled for deviation indices
-        const trueCount = this.settings.countingEnabled ? this.deck.getTrueCount() : null;
+        const trueCount = useCount && this.settings.countingEnabled ? this.deck.getTrueCount() : null;
 
         return getBasicStrategyRecommendation(
             this.currentHand,
@@ -508,10 +746,127 @@ class BlackjackGame {
             this.canDouble(),
             this.canSplit(),
             this.canSurrender(),
-            trueCount
+            trueCount,
+            this.getStrategyRules(),
+            this.getIndexSet()
         );
     }
 
+    /**
+     * Deviation indices for the counting system and soft 17 rule in play
+     */
+    getIndexSet() {
+        return getIndexSet(this.settings.countingSystem, !!this.settings.dealerHitsSoft17);
+    }
+
+    /**
+     * Rule flags that change the basic strategy chart
+     */
+    getStrategyRules() {
+        return getTableStrategyRules(this.settings);
+    }
+
+    /**
+     * Cards the player has not seen: the undealt shoe plus a face-down hole card
+     */
+    getUnseenCounts() {
+        const counts = getCountsFromCards(this.deck.cards);
+        const holeCard = this.dealerHand.cards[1];
+        if (holeCard && !holeCard.faceUp) counts[getRankIndex(holeCard)]++;
+        return counts;
+    }
+
+    /**
+     * EV of each legal action for the current hand, computed from the unseen cards.
+     * EVs are per unit of the hand's bet.
+     * @returns {Object|null} { evs, best, totalDependent } - totalDependent is the total-dependent chart play
+     */
+    getShoeActionEVs() {
+        if (this.state !== GameState.PLAYER_TURN) return null;
+
+        const hand = this.currentHand;
+        const upCard = this.dealerHand.cards[0];
+        const upRank = getRankIndex(upCard);
+        const rules = this.getStrategyRules();
+
+        const counts = this.getUnseenCounts();
+        const key = `${counts.join(',')}|${upRank}|${hand.cards.map(getRankIndex).join(',')}|${JSON.stringify(rules)}`;
+        if (this.evCache.key !== key) {
+            this.evCache = { key, evs: getActionEVs(hand, upCard, counts, rules, !!this.settings.splitAnyTen) };
+        }
+        const allEVs = this.evCache.evs;
+
+        const legal = {
+            STAND: this.canStand(),
+            HIT: this.canHit(),
+            DOUBLE: this.canDouble(),
+            SPLIT: this.canSplit(),
+            SURRENDER: this.canSurrender()
+        };
+
+        const evs = {};
+        let best = null;
+        for (const action of Object.keys(legal)) {
+            if (!legal[action] || allEVs[action] === undefined) continue;
+            evs[action] = allEVs[action];
+            if (best === null || evs[action] > evs[best]) best = action;
+        }
+
+        const totalDependent = getGeneratedRecommendation(hand, upCard, legal.DOUBLE, legal.SPLIT, legal.SURRENDER, rules);
+        return { evs, best, totalDependent };
+    }
+
+    /**
+     * EV of insuring one hand against the current upcard, from the unseen cards
+     */
+    getInsuranceEV() {
+        if (this.state !== GameState.INSURANCE) return null;
+        return getInsuranceEV(this.getUnseenCounts());
+    }
+
+    /**
+     * Early surrender advice for the hand currently being offered
+     */
+    getEarlySurrenderHint() {
+        if (this.state !== GameState.EARLY_SURRENDER) return null;
+        return getEarlySurrenderRecommendation(this.currentHand, this.dealerHand.cards[0], this.getStrategyRules()) ?
+            'SURRENDER' : 'PLAY';
+    }
+
+    /**
+     * Insurance and even money advice. Basic strategy always declines; a counter
+     * insures at or above the insurance index. Even money is insurance on a blackjack,
+     * so the same index covers it.
+     * @returns {Object|null} { take, trueCount, threshold } - trueCount is null when not counting
+     */
+    getInsuranceHint() {
+        if (this.state !== GameState.INSURANCE) return null;
+
+        const threshold = this.getIndexSet().insurance.threshold;
+        if (!this.settings.countingEnabled) {
+            return { take: false, trueCount: null, threshold };
+        }
+
+        const trueCount = this.getInsuranceTrueCount();
+        return { take: trueCount >= threshold, trueCount, threshold };
+    }
+
+    /**
+     * True count for sizing bets, corrected by any side counts
+     */
+    getBettingTrueCount() {
+        const ranks = this.settings.sideCounts || [];
+        return ranks.length > 0 ? this.deck.getAdjustedTrueCount(ranks, 'bet') : this.deck.getTrueCount();
+    }
+
+    /**
+     * True count for insurance decisions, corrected by any side counts
+     */
+    getInsuranceTrueCount() {
+        const ranks = this.settings.sideCounts || [];
+        return ranks.length > 0 ? this.deck.getAdjustedTrueCount(ranks, 'insurance') : this.deck.getTrueCount();
+    }
+
     getDeviationInfo() {
         if (this.state !== GameState.PLAYER_TURN) return { isDeviation: false };
         if (!this.settings.countingEnabled) return { isDeviation: false };
@@ -519,7 +874,9 @@ class BlackjackGame {
         const trueCount = this.deck.getTrueCount();
         const dealerValue = this.dealerHand.cards[0].value === 11 ? 11 : this.dealerHand.cards[0].value;
 
-        return getDeviationInfo(this.currentHand, dealerValue, trueCount);
+        const info = getDeviationInfo(this.currentHand, dealerValue, trueCount, this.canSurrender(), this.getIndexSet());
+        // An index the recommendation passes over (16 v 10 stands, but the hand is surrendered) is not the play
+        return info.isDeviation && info.action !== this.getStrategyHint() ? { isDeviation: false } : info;
     }
 
     // Notifications
@@ -531,8 +888,8 @@ class BlackjackGame {
         if (this.onBalanceChange) this.onBalanceChange(this.balance);
     }
 
-    notifyResult(result, amount) {
-        if (this.onHandResult) this.onHandResult(result, amount);
+    notifyResult(result, amount, handResults = []) {
+        if (this.onHandResult) this.onHandResult(result, amount, handResults);
     }
 
     notifyCountUpdate() {
@@ -579,6 +936,45 @@ class BlackjackGame {
         } catch (e) { }
     }
 
+    /**
+     * Add the settled round to the hand history
+     */
+    recordHistory(handResults) {
+        const entry = {
+            time: Date.now(),
+            trueCount: this.settings.countingEnabled ? this.deck.getTrueCount() : null,
+            dealer: this.dealerHand.cards.map(card => card.toString()),
+            hands: this.playerHands.map((hand, index) => {
+                const handResult = handResults.find(r => r.index === index);
+                return {
+                    spot: hand.spot,
+                    cards: hand.cards.map(card => card.toString()),
+                    bet: hand.bet,
+                    result: handResult.result,
+                    amount: handResult.amount,
+                    insurance: hand.insuranceBet,
+                    evenMoney: hand.isEvenMoney
+                };
+            }),
+            betAdvice: this.roundBetAdvice
+        };
+
+        this.handHistory.unshift(entry);
+        this.handHistory.length = Math.min(this.handHistory.length, CONFIG.HISTORY_LENGTH);
+        this.saveHistory();
+    }
+
+    saveHistory() { this.saveWithTimestamp('blackjack_history', this.handHistory); }
+    loadHistory() {
+        const saved = this.loadWithExpiration('blackjack_history');
+        if (Array.isArray(saved)) this.handHistory = saved;
+    }
+
+    clearHistory() {
+        this.handHistory = [];
+        this.saveHistory();
+    }
+
     saveStats() { this.saveWithTimestamp('blackjack_stats', this.stats); }
     loadStats() {
         const saved = this.loadWithExpiration('blackjack_stats');
@@ -597,15 +993,18 @@ class BlackjackGame {
         this.saveBalance();
         this.saveSettings();
         this.saveStats();
+        this.saveHistory();
     }
 
     loadAllData() {
         this.loadBalance();
         this.loadSettings();
         this.loadStats();
+        this.loadHistory();
         this.refreshTimestamp('blackjack_balance');
         this.refreshTimestamp('blackjack_settings');
         this.refreshTimestamp('blackjack_stats');
+        this.refreshTimestamp('blackjack_history');
     }
 
     saveBalance() { this.saveWithTimestamp('blackjack_balance', this.balance); }
@@ -619,175 +1018,284 @@ class BlackjackGame {
         const saved = this.loadWithExpiration('blackjack_settings');
         if (saved) {
             this.settings = { ...this.settings, ...saved };
+            // Older saves used a surrenderAllowed flag
+            if (saved.surrenderMode === undefined && saved.surrenderAllowed === false) {
+                this.settings.surrenderMode = 'none';
+            }
+            delete this.settings.surrenderAllowed;
             if (saved.deckCount) this.deck.setDeckCount(saved.deckCount);
             if (saved.countingSystem) this.deck.setCountingSystem(saved.countingSystem);
+            this.deck.setTrueCountEstimation(this.settings.trueCountRounding, this.settings.deckEstimation);
         }
     }
 }
 
+// === Table Rules ===
+// Pure rule checks shared by BlackjackGame and the simulator worker
+
 /**
- * Illustrious 18 - Most important true count deviations
- * Format: { playerValue_dealerValue: { threshold, action } }
- * When true count >= threshold, use the deviation action instead of basic strategy
+ * Rule flags that change the basic strategy chart
  */
-const DEVIATION_INDICES = {
-    // Insurance (not a play, but included for completeness)
-    'insurance': { threshold: 3, action: 'TAKE_INSURANCE' },
-
-    // 16 vs 10: Stand at TC >= 0 (instead of hit)
-    '16_10': { threshold: 0, action: 'STAND', normal: 'HIT' },
+function getTableStrategyRules(settings) {
+    return {
+        deckCount: settings.deckCount,
+        h17: !!settings.dealerHitsSoft17,
+        das: settings.doubleAfterSplit !== false,
+        peek: !settings.enhc && settings.dealerPeek !== false,
+        dealerBlackjackLoses: settings.dealerBlackjackLoses,
+        doubleOn: settings.doubleOn || 'any2',
+        resplitAces: !!settings.resplitAces,
+        splitAcesOneCard: settings.splitAcesOneCard !== false,
+        maxSplitHands: parseInt(settings.maxSplitHands) || CONFIG.MAX_HANDS_PER_SPOT
+    };
+}
 
-    // 15 vs 10: Stand at TC >= 4 (instead of hit)
-    '15_10': { threshold: 4, action: 'STAND', normal: 'HIT' },
+/**
+ * Opening cards in casino order: one card to each spot, dealer upcard, second card to each spot,
+ * then the hole card. Under ENHC the dealer's second card is drawn after the spots have acted.
+ * @returns {Array<{hand: Hand, faceUp: boolean}>}
+ */
+function getDealOrder(hands, dealerHand, settings) {
+    const order = [
+        ...hands.map(hand => ({ hand, faceUp: true })),
+        { hand: dealerHand, faceUp: true },
+        ...hands.map(hand => ({ hand, faceUp: true }))
+    ];
+    if (!settings.enhc) order.push({ hand: dealerHand, faceUp: !settings.dealerHoleCard });
+    return order;
+}
 
-    // 10 vs 10: Double at TC >= 4 (instead of hit)
-    '10_10': { threshold: 4, action: 'DOUBLE', normal: 'HIT' },
+/**
+ * Whether the surrender mode allows early surrender against the dealer upcard
+ */
+function isEarlySurrenderOffered(upCard, settings) {
+    if (!upCard) return false;
+    switch (settings.surrenderMode) {
+        case 'early': return upCard.value >= 10;
+        case 'early-ace': return upCard.isAce;
+        case 'early-ten': return upCard.value === 10;
+        default: return false;
+    }
+}
 
-    // 12 vs 3: Stand at TC >= 2 (instead of hit)
-    '12_3': { threshold: 2, action: 'STAND', normal: 'HIT' },
+/**
+ * Whether the dealer checks the hole card for blackjack under the upcard and rules
+ */
+function canDealerPeek(upCard, settings) {
+    if (settings.enhc) return false;
+    return !!settings.dealerPeek && !!upCard && upCard.value >= 10;
+}
 
-    // 12 vs 2: Stand at TC >= 3 (instead of hit)
-    '12_2': { threshold: 3, action: 'STAND', normal: 'HIT' },
+/**
+ * One card to split aces: the hand has drawn its card and only a resplit remains
+ */
+function isSplitAcesLocked(hand, settings) {
+    return !!settings.splitAcesOneCard && hand.isSplitAces && hand.cards.length >= 2;
+}
 
-    // 11 vs A: Double at TC >= 1 (instead of hit in some rules)
-    '11_11': { threshold: 1, action: 'DOUBLE', normal: 'HIT' },
+/**
+ * Whether the rules let a hand double (the bankroll is the caller's check)
+ */
+function isDoubleAllowed(hand, settings) {
+    if (hand.isSplit && !settings.doubleAfterSplit) return false;
+    if (isSplitAcesLocked(hand, settings)) return false;
+    if (!isDoubleTotalAllowed(hand.getValue(), settings.doubleOn)) return false;
+    return hand.canDouble(settings.doubleOn === 'any');
+}
 
-    // 9 vs 2: Double at TC >= 1 (instead of hit)
-    '9_2': { threshold: 1, action: 'DOUBLE', normal: 'HIT' },
+/**
+ * Whether the rules let a hand split, counting the hands already on its spot
+ */
+function isSplitAllowed(hand, hands, settings) {
+    if (!hand.canSplit(settings.splitAnyTen)) return false;
+    if (hand.isSplitAces && !settings.resplitAces) return false;
+    const maxHands = parseInt(settings.maxSplitHands) || CONFIG.MAX_HANDS_PER_SPOT;
+    return hands.filter(h => h.spot === hand.spot).length < maxHands;
+}
 
-    // 10 vs A: Double at TC >= 4 (instead of hit)
-    '10_11': { threshold: 4, action: 'DOUBLE', normal: 'HIT' },
+/**
+ * Late surrender - after the peek, on the first two cards
+ */
+function isLateSurrenderAllowed(hand, settings) {
+    return settings.surrenderMode === 'late' && hand.cards.length === 2 && !hand.isSplit;
+}
 
-    // 9 vs 7: Double at TC >= 3 (instead of hit)
-    '9_7': { threshold: 3, action: 'DOUBLE', normal: 'HIT' },
+/**
+ * Split the pair at an index into two hands with the same bet.
+ * The new hand goes right after it and gets its second card when play reaches it.
+ * @returns {Hand} The new hand
+ */
+function splitHand(hands, index) {
+    const hand = hands[index];
+    const newHand = new Hand();
+    newHand.bet = hand.bet;
+    newHand.spot = hand.spot;
+    newHand.isSplit = true;
+    newHand.isSplitAces = hand.cards[0].isAce;
+    newHand.addCard(hand.cards.pop());
+
+    hand.isSplit = true;
+    hand.isSplitAces = newHand.isSplitAces;
+    hands.splice(index + 1, 0, newHand);
+    return newHand;
+}
 
-    // 16 vs 9: Stand at TC >= 5 (instead of hit)
-    '16_9': { threshold: 5, action: 'STAND', normal: 'HIT' },
+/**
+ * Whether any hand is still waiting on the dealer's total
+ */
+function isDealerPlayNeeded(hands) {
+    return hands.some(h => !h.isBusted && !h.isSurrendered && !h.isBlackjack());
+}
 
-    // 13 vs 2: Stand at TC >= -1 (stand even more)
-    '13_2': { threshold: -1, action: 'STAND', normal: 'STAND' },
+/**
+ * Dealer draws to 16 and, under H17, to soft 17.
+ * Soft is worked out from the hard total since Hand.isSoft() misses hands with two aces (A-A-5).
+ */
+function shouldDealerHit(dealerHand, settings) {
+    const value = dealerHand.getValue();
+    if (value < 17) return true;
+    if (value > 17 || !settings.dealerHitsSoft17) return false;
+    const hardTotal = dealerHand.cards.reduce((sum, card) => sum + (card.isAce ? 1 : card.value), 0);
+    return dealerHand.cards.some(card => card.isAce) && hardTotal + 10 === value;
+}
 
-    // 12 vs 4: Hit at TC < 0 (instead of stand)
-    '12_4': { threshold: 0, belowAction: 'HIT', action: 'STAND', normal: 'STAND' },
+/**
+ * Settle every hand against the dealer's finished hand
+ * @param {number} baseBet - Original bet per spot, all a spot loses to a dealer blackjack under 'original'
+ * @returns {Array<{result: string, payout: number, insuranceNet: number}>} Per hand: the ResultType,
+ *   what comes back on the bet (stake included), and the net won on insurance
+ */
+function settleHands(hands, dealerHand, settings, baseBet) {
+    const dealerValue = dealerHand.getValue();
+    const dealerBusted = dealerHand.isBusted;
+    const dealerBlackjack = dealerHand.isBlackjack();
+
+    // Under "original bets only" each spot loses its first wager once; busted hands already paid it
+    const spotsCharged = new Set(hands.filter(h => h.isBusted).map(h => h.spot));
+
+    return hands.map(hand => {
+        // Insurance pays 2:1 on dealer blackjack
+        const insuranceNet = hand.insuranceBet > 0
+            ? (dealerBlackjack ? hand.insuranceBet * CONFIG.INSURANCE_PAYS : -hand.insuranceBet)
+            : 0;
+        const playerValue = hand.getValue();
+
+        if (hand.isEvenMoney) {
+            return { result: ResultType.EVEN_MONEY, payout: hand.bet * 2, insuranceNet };
+        }
+        if (hand.isSurrendered) {
+            // Late surrender without a peek gives nothing back against a dealer blackjack
+            const lost = dealerBlackjack && !hand.isEarlySurrender ? hand.bet : hand.bet / 2;
+            const result = lost === hand.bet ? ResultType.LOSE : ResultType.SURRENDER;
+            return { result, payout: hand.bet - lost, insuranceNet };
+        }
+        if (hand.isBlackjack()) {
+            return dealerBlackjack
+                ? { result: ResultType.PUSH, payout: hand.bet, insuranceNet }
+                : { result: ResultType.BLACKJACK, payout: hand.bet * (1 + settings.blackjackPays), insuranceNet };
+        }
+        if (hand.isBusted) {
+            return { result: ResultType.LOSE, payout: 0, insuranceNet };
+        }
+        if (dealerBlackjack) {
+            let lost = hand.bet;
+            if (settings.dealerBlackjackLoses === 'original') {
+                lost = spotsCharged.has(hand.spot) ? 0 : Math.min(hand.bet, baseBet);
+                spotsCharged.add(hand.spot);
+            }
+            return { result: lost > 0 ? ResultType.LOSE : ResultType.PUSH, payout: hand.bet - lost, insuranceNet };
+        }
+        if (dealerBusted || playerValue > dealerValue) {
+            return { result: ResultType.WIN, payout: hand.bet * 2, insuranceNet };
+        }
+        if (playerValue < dealerValue) {
+            return { result: ResultType.LOSE, payout: 0, insuranceNet };
+        }
+        return { result: ResultType.PUSH, payout: hand.bet, insuranceNet };
+    });
+}
 
-    // 12 vs 5: Hit at TC < -2 (instead of stand)
-    '12_5': { threshold: -2, belowAction: 'HIT', action: 'STAND', normal: 'STAND' },
+/**
+ * Early surrender basic strategy - decided before the dealer checks for blackjack
+ * @returns {boolean} true if the hand should be surrendered
+ */
+function getEarlySurrenderRecommendation(playerHand, dealerUpCard, rules = {}) {
+    // Soft hands and aces are never given up early
+    if (playerHand.cards.some(card => card.isAce)) return false;
 
-    // 12 vs 6: Hit at TC < -1 (instead of stand)
-    '12_6': { threshold: -1, belowAction: 'HIT', action: 'STAND', normal: 'STAND' },
+    const value = playerHand.getValue();
 
-    // 13 vs 3: Hit at TC < -2 (instead of stand)
-    '13_3': { threshold: -2, belowAction: 'HIT', action: 'STAND', normal: 'STAND' },
+    if (dealerUpCard.isAce) {
+        if (rules.h17 && playerHand.canSplit() && playerHand.cards[0].rank === '2') return true;
+        return (value >= 5 && value <= 7) || (value >= 12 && value <= 17);
+    }
 
-    // TT vs 5: Split at TC >= 5
-    'TT_5': { threshold: 5, action: 'SPLIT', normal: 'STAND' },
+    if (dealerUpCard.value === 10) {
+        return value >= 14 && value <= 16;
+    }
 
-    // TT vs 6: Split at TC >= 4
-    'TT_6': { threshold: 4, action: 'SPLIT', normal: 'STAND' }
-};
+    return false;
+}
 
 /**
  * Basic strategy with deviation indices
+ * The basic play comes from the strategy engine for the given rules
+ * @param {Object} rules - Strategy rules, see DEFAULT_STRATEGY_RULES
+ * @param {Object} indexSet - Deviation indices (see getIndexSet), defaults to Hi-Lo
  */
-function getBasicStrategyRecommendation(playerHand, dealerUpCard, canDouble, canSplit, canSurrender, trueCount = null) {
+function getBasicStrategyRecommendation(playerHand, dealerUpCard, canDouble, canSplit, canSurrender, trueCount = null, rules = {},
+    indexSet = getIndexSet('hi-lo', rules.h17)) {
     const playerValue = playerHand.getValue();
     const dealerValue = dealerUpCard.value === 11 ? 11 : dealerUpCard.value;
     const isSoft = playerHand.isSoft();
-    const isPair = playerHand.canSplit();
+    const isPair = playerHand.canSplit(true);
+    const strategyRules = { ...DEFAULT_STRATEGY_RULES, ...rules };
+
+    // Without a peek a later dealer blackjack may take doubles and splits, so the count indices don't apply
+    const noPeekRisk = !strategyRules.peek && strategyRules.dealerBlackjackLoses === 'all' && dealerValue >= 10;
+
+    // Fab 4: when counting, the surrender indices replace the late surrender chart
+    if (canSurrender && trueCount !== null && !isSoft && !(isPair && canSplit)) {
+        const surrenderIndex = indexSet.surrender[`${playerValue}_${dealerValue}`];
+        if (surrenderIndex) {
+            if (trueCount >= surrenderIndex.threshold) return 'SURRENDER';
+            canSurrender = false;
+        } else if (getGeneratedRecommendation(playerHand, dealerUpCard, canDouble, canSplit, true, strategyRules) === 'SURRENDER') {
+            // A hand the chart surrenders with no Fab 4 entry (16 v 9, 16 v 10) is surrendered before the stand indices
+            return 'SURRENDER';
+        }
+    }
 
     // Check for deviation indices when true count is available
-    let deviation = null;
     if (trueCount !== null) {
-        deviation = checkDeviationIndex(playerHand, dealerValue, trueCount, canDouble, canSplit);
-        if (deviation) {
+        const deviation = checkDeviationIndex(playerHand, dealerValue, trueCount, canDouble, canSplit, indexSet);
+        if (deviation && !(noPeekRisk && (deviation === 'DOUBLE' || deviation === 'SPLIT'))) {
             return deviation;
         }
     }
 
-    if (isPair && canSplit) {
-        const pairRank = playerHand.cards[0].rank;
-        const pairStrategy = {
-            'A': 'SPLIT', '8': 'SPLIT',
-            '2': dealerValue <= 7 ? 'SPLIT' : 'HIT',
-            '3': dealerValue <= 7 ? 'SPLIT' : 'HIT',
-            '4': (dealerValue === 5 || dealerValue === 6) ? 'SPLIT' : 'HIT',
-            '5': dealerValue <= 9 && canDouble ? 'DOUBLE' : 'HIT',
-            '6': dealerValue <= 6 ? 'SPLIT' : 'HIT',
-            '7': dealerValue <= 7 ? 'SPLIT' : 'HIT',
-            '9': [7, 10, 11].includes(dealerValue) ? 'STAND' : 'SPLIT',
-            '10': 'STAND', 'J': 'STAND', 'Q': 'STAND', 'K': 'STAND'
-        };
-        if (pairStrategy[pairRank]) return pairStrategy[pairRank];
-    }
-
-    if (isSoft) {
-        if (playerValue >= 19) return 'STAND';
-        if (playerValue === 18) {
-            if (dealerValue <= 6 && canDouble) return 'DOUBLE';
-            if (dealerValue <= 8) return 'STAND';
-            return 'HIT';
-        }
-        if (playerValue === 17) {
-            if (dealerValue >= 3 && dealerValue <= 6 && canDouble) return 'DOUBLE';
-            return 'HIT';
-        }
-        if (playerValue >= 15 && playerValue <= 16) {
-            if (dealerValue >= 4 && dealerValue <= 6 && canDouble) return 'DOUBLE';
-            return 'HIT';
-        }
-        if (playerValue >= 13 && playerValue <= 14) {
-            if (dealerValue >= 5 && dealerValue <= 6 && canDouble) return 'DOUBLE';
-            return 'HIT';
-        }
-        return 'HIT';
-    }
-
-    if (playerValue >= 17) return 'STAND';
-
-    if (playerValue >= 13 && playerValue <= 16) {
-        if (dealerValue <= 6) return 'STAND';
-        if (playerValue === 16 && canSurrender && dealerValue >= 9) return 'SURRENDER';
-        if (playerValue === 15 && canSurrender && dealerValue === 10) return 'SURRENDER';
-        return 'HIT';
-    }
-
-    if (playerValue === 12) {
-        if (dealerValue >= 4 && dealerValue <= 6) return 'STAND';
-        return 'HIT';
-    }
-
-    if (playerValue === 11) return canDouble ? 'DOUBLE' : 'HIT';
-    if (playerValue === 10) {
-        if (dealerValue <= 9 && canDouble) return 'DOUBLE';
-        return 'HIT';
-    }
-    if (playerValue === 9) {
-        if (dealerValue >= 3 && dealerValue <= 6 && canDouble) return 'DOUBLE';
-        return 'HIT';
-    }
-
-    return 'HIT';
+    return getGeneratedRecommendation(playerHand, dealerUpCard, canDouble, canSplit, canSurrender, strategyRules);
 }
 
 /**
  * Check if a deviation index applies
  */
-function checkDeviationIndex(playerHand, dealerValue, trueCount, canDouble, canSplit) {
+function checkDeviationIndex(playerHand, dealerValue, trueCount, canDouble, canSplit, indexSet = getIndexSet('hi-lo', false)) {
     const playerValue = playerHand.getValue();
-    const isPair = playerHand.canSplit();
+    const isPair = playerHand.canSplit(true);
 
     // Check for TT (ten-ten pair) deviations
     if (isPair && playerHand.cards[0].value === 10 && canSplit) {
         const key = `TT_${dealerValue}`;
-        const dev = DEVIATION_INDICES[key];
-        if (dev && trueCount >= dev.threshold) {
+        const dev = indexSet.plays[key];
+        if (dev && dev.action && trueCount >= dev.threshold) {
             return dev.action;
         }
     }
 
     // Check for regular deviations
     const key = `${playerValue}_${dealerValue}`;
-    const dev = DEVIATION_INDICES[key];
+    const dev = indexSet.plays[key];
 
     if (dev) {
         // Some deviations apply when TC is below threshold
@@ -795,7 +1303,7 @@ function checkDeviationIndex(playerHand, dealerValue, trueCount, canDouble, canS
             return dev.belowAction;
         }
         // Most deviations apply when TC is at or above threshold
-        if (trueCount >= dev.threshold) {
+        if (dev.action && trueCount >= dev.threshold) {
             // Check if action is possible (e.g., can we double?)
             if (dev.action === 'DOUBLE' && !canDouble) {
                 return null; // Can't double, use basic strategy
@@ -813,26 +1321,40 @@ function checkDeviationIndex(playerHand, dealerValue, trueCount, canDouble, canS
 /**
  * Get deviation info for display (shows when a deviation applies)
  */
-function getDeviationInfo(playerHand, dealerValue, trueCount) {
+function getDeviationInfo(playerHand, dealerValue, trueCount, canSurrender = false, indexSet = getIndexSet('hi-lo', false)) {
     const playerValue = playerHand.getValue();
-    const isPair = playerHand.canSplit();
+    const isPair = playerHand.canSplit(true);
+    const signed = (n) => `${n >= 0 ? '+' : ''}${n}`;
+
+    // Fab 4 surrender indices
+    if (canSurrender && !playerHand.isSoft()) {
+        const dev = indexSet.surrender[`${playerValue}_${dealerValue}`];
+        if (dev && trueCount >= dev.threshold) {
+            return {
+                isDeviation: true,
+                threshold: dev.threshold,
+                action: 'SURRENDER',
+                reason: `TC ${signed(trueCount)} >= ${signed(dev.threshold)}`
+            };
+        }
+    }
 
     // Check TT deviations
     if (isPair && playerHand.cards[0].value === 10) {
         const key = `TT_${dealerValue}`;
-        const dev = DEVIATION_INDICES[key];
-        if (dev && trueCount >= dev.threshold) {
+        const dev = indexSet.plays[key];
+        if (dev && dev.action && trueCount >= dev.threshold) {
             return {
                 isDeviation: true,
                 threshold: dev.threshold,
                 action: dev.action,
-                reason: `TC ${trueCount >= 0 ? '+' : ''}${trueCount} >= ${dev.threshold >= 0 ? '+' : ''}${dev.threshold}`
+                reason: `TC ${signed(trueCount)} >= ${signed(dev.threshold)}`
             };
         }
     }
 
     const key = `${playerValue}_${dealerValue}`;
-    const dev = DEVIATION_INDICES[key];
+    const dev = indexSet.plays[key];
 
     if (dev) {
         if (dev.belowAction && trueCount < dev.threshold) {
@@ -840,15 +1362,15 @@ function getDeviationInfo(playerHand, dealerValue, trueCount) {
                 isDeviation: true,
                 threshold: dev.threshold,
                 action: dev.belowAction,
-                reason: `TC ${trueCount >= 0 ? '+' : ''}${trueCount} < ${dev.threshold >= 0 ? '+' : ''}${dev.threshold}`
+                reason: `TC ${signed(trueCount)} < ${signed(dev.threshold)}`
             };
         }
-        if (trueCount >= dev.threshold) {
+        if (dev.action && trueCount >= dev.threshold) {
             return {
                 isDeviation: true,
                 threshold: dev.threshold,
                 action: dev.action,
-                reason: `TC ${trueCount >= 0 ? '+' : ''}${trueCount} >= ${dev.threshold >= 0 ? '+' : ''}${dev.threshold}`
+                reason: `TC ${signed(trueCount)} >= ${signed(dev.threshold)}`
             };
         }
     }
@@ -861,6 +1383,18 @@ window.BlackjackGame = BlackjackGame;
 window.GameState = GameState;
 window.ResultType = ResultType;
 window.CONFIG = CONFIG;
-window.DEVIATION_INDICES = DEVIATION_INDICES;
+window.getEarlySurrenderRecommendation = getEarlySurrenderRecommendation;
 window.getBasicStrategyRecommendation = getBasicStrategyRecommendation;
-window.getDeviationInfo = getDeviationInfo;
\ No newline at end of file
+window.getDeviationInfo = getDeviationInfo;
+window.getTableStrategyRules = getTableStrategyRules;
+window.getDealOrder = getDealOrder;
+window.isEarlySurrenderOffered = isEarlySurrenderOffered;
+window.canDealerPeek = canDealerPeek;
+window.isSplitAcesLocked = isSplitAcesLocked;
+window.isDoubleAllowed = isDoubleAllowed;
+window.isSplitAllowed = isSplitAllowed;
+window.isLateSurrenderAllowed = isLateSurrenderAllowed;
+window.splitHand = splitHand;
+window.isDealerPlayNeeded = isDealerPlayNeeded;
+window.shouldDealerHit = shouldDealerHit;
+window.settleHands = settleHands;
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * House Edge Calculator
+ * Estimates the basic-strategy house edge for a ruleset from published rule effects,
+ * plus the expected hourly loss at a given bet
+ */
+
+// House edge (%) for 8 decks, S17, DAS, no surrender, 3:2, peek, split to 4 hands
+const BASE_HOUSE_EDGE = 0.43;
+
+// Change in house edge (%) for each rule, relative to the base game
+const RULE_EFFECTS = {
+    decks: { 1: -0.48, 2: -0.19, 4: -0.06, 5: -0.03, 6: -0.02, 7: -0.01, 8: 0 },
+    hitSoft17: { single: 0.19, multi: 0.22 },
+    noDoubleAfterSplit: 0.14,
+    resplitAces: { single: -0.03, multi: -0.08 },
+    hitSplitAces: -0.19,
+    maxSplitHands: { 2: 0.04, 3: 0.01, 4: 0 },
+    doubleOn: { 'any2': 0, '9-11': 0.09, '10-11': 0.18, 'any': -0.23 },
+    surrender: { 'none': 0, 'late': -0.08, 'early': -0.63, 'early-ace': -0.39, 'early-ten': -0.24 },
+    lateSurrenderH17: -0.01,
+    dealerBlackjackTakesAll: 0.11
+};
+
+const DOUBLE_LABELS = {
+    '9-11': 'Double on 9-11 only',
+    '10-11': 'Double on 10-11 only',
+    'any': 'Double on any number of cards'
+};
+
+const SURRENDER_LABELS = {
+    'late': 'Late surrender',
+    'early': 'Early surrender',
+    'early-ace': 'Early surrender vs Ace',
+    'early-ten': 'Early surrender vs 10'
+};
+
+// Table pace used for the hourly figures
+const PACE = {
+    ROUND_SECONDS: 15,         // Dealing and settling a round
+    SECONDS_PER_SPOT: 10,      // Decisions on each spot played
+    CARDS_PER_HAND: 2.7,       // Average cards in a finished hand, dealer included
+    SHUFFLE_BASE_SECONDS: 15,
+    SHUFFLE_SECONDS_PER_DECK: 7.5
+};
+
+/**
+ * Probability of a two-card natural from a fresh shoe
+ */
+function getNaturalProbability(deckCount) {
+    const cards = deckCount * 52;
+    return 2 * (4 * deckCount / cards) * (16 * deckCount / (cards - 1));
+}
+
+/**
+ * Estimate the house edge for a ruleset
+ * @param {Object} settings - BlackjackGame settings
+ * @returns {Object} { edge, breakdown } - edge in percent, breakdown as [{ label, delta }]
+ */
+function calculateHouseEdge(settings) {
+    const deckCount = settings.deckCount || 6;
+    const single = deckCount <= 2 ? 'single' : 'multi';
+    const breakdown = [];
+    const add = (label, delta) => {
+        if (delta) breakdown.push({ label, delta });
+    };
+
+    const deckKeys = Object.keys(RULE_EFFECTS.decks).map(Number);
+    const nearestDecks = deckKeys.reduce((best, d) => Math.abs(d - deckCount) < Math.abs(best - deckCount) ? d : best);
+    add(`${deckCount} deck${deckCount === 1 ? '' : 's'}`, RULE_EFFECTS.decks[nearestDecks]);
+
+    if (settings.dealerHitsSoft17) add('Dealer hits soft 17', RULE_EFFECTS.hitSoft17[single]);
+
+    // A natural is worth (1 - P(dealer natural)) of the payout difference
+    const pays = settings.blackjackPays ?? 1.5;
+    if (pays !== 1.5) {
+        const p = getNaturalProbability(deckCount);
+        add(`Blackjack pays ${pays === 1.2 ? '6:5' : pays === 1 ? '1:1' : `${pays}:1`}`, p * (1 - p) * (1.5 - pays) * 100);
+    }
+
+    if (!settings.doubleAfterSplit) add('No double after split', RULE_EFFECTS.noDoubleAfterSplit);
+    if (settings.resplitAces) add('Resplit aces', RULE_EFFECTS.resplitAces[single]);
+    if (settings.splitAcesOneCard === false) add('Hit split aces', RULE_EFFECTS.hitSplitAces);
+    add(`Split to ${settings.maxSplitHands} hands`, RULE_EFFECTS.maxSplitHands[Math.min(settings.maxSplitHands, 4)] || 0);
+    add(DOUBLE_LABELS[settings.doubleOn], RULE_EFFECTS.doubleOn[settings.doubleOn] || 0);
+
+    const surrenderMode = settings.surrenderMode || 'none';
+    add(SURRENDER_LABELS[surrenderMode], RULE_EFFECTS.surrender[surrenderMode] || 0);
+    if (surrenderMode === 'late' && settings.dealerHitsSoft17) add('Late surrender vs H17', RULE_EFFECTS.lateSurrenderH17);
+
+    // Without a peek, losing doubles and splits to a dealer blackjack costs the player
+    const noPeek = settings.enhc || !settings.dealerPeek;
+    if (noPeek && settings.dealerBlackjackLoses === 'all') {
+        add('Dealer blackjack takes all bets', RULE_EFFECTS.dealerBlackjackTakesAll);
+    }
+
+    const edge = breakdown.reduce((sum, item) => sum + item.delta, BASE_HOUSE_EDGE);
+    return { edge, breakdown };
+}
+
+/**
+ * Hands played per hour, including time lost to shuffles
+ * @param {Object} settings - BlackjackGame settings
+ * @param {number} penetration - Fraction of the shoe dealt before a reshuffle
+ * @param {number} spots - Spots played per round
+ */
+function estimateHandsPerHour(settings, penetration, spots = 1) {
+    const deckCount = settings.deckCount || 6;
+    const cardsPerRound = PACE.CARDS_PER_HAND * (spots + 1);
+    const roundsPerShoe = deckCount * 52 * penetration / cardsPerRound;
+    const roundSeconds = PACE.ROUND_SECONDS + PACE.SECONDS_PER_SPOT * spots;
+    const shuffleSeconds = PACE.SHUFFLE_BASE_SECONDS + PACE.SHUFFLE_SECONDS_PER_DECK * deckCount;
+
+    const shoeHours = (roundsPerShoe * roundSeconds + shuffleSeconds) / 3600;
+    return roundsPerShoe * spots / shoeHours;
+}
+
+/**
+ * Expected loss per hour at a bet per hand
+ * @returns {Object} { edge, handsPerHour, lossPerHour }
+ */
+function estimateHourlyLoss(settings, penetration, spots, bet) {
+    const { edge } = calculateHouseEdge(settings);
+    const handsPerHour = estimateHandsPerHour(settings, penetration, spots);
+    return { edge, handsPerHour, lossPerHour: edge / 100 * bet * handsPerHour };
+}
+
+// Export
+window.calculateHouseEdge = calculateHouseEdge;
+window.estimateHandsPerHour = estimateHandsPerHour;
+window.estimateHourlyLoss = estimateHourlyLoss;
+window.RULE_EFFECTS = RULE_EFFECTS;
@@ -13,10 +13,18 @@ document.addEventListener('DOMContentLoaded', () => {
     // 3. Initialize Themes
     window.themeManager = new window.ThemeManager();
 
-    // 4. Initialize UI (depends on others being ready)
+    // 4. Initialize Rule Presets
+    window.presetManager = new window.RulePresetManager(game);
+
+    // 5. Initialize Custom Counting Systems
+    window.countSystemManager = new window.CountingSystemManager(game);
+    window.deviationManager = new window.DeviationIndexManager(game);
+    window.drillRecords = new window.DrillRecords();
+
+    // 6. Initialize UI (depends on others being ready)
     const ui = new window.BlackjackUI(game);
 
-    // 5. Expose for debugging
+    // 7. Expose for debugging
     window.game = game;
     window.ui = ui;
 
@@ -0,0 +1,198 @@
+/**
+ * Rule Presets - Named casino rulesets applied in one step
+ * Built-in presets plus presets saved by the player
+ */
+
+// Settings that make up a table's ruleset (everything else is a player preference)
+const RULE_KEYS = [
+    'deckCount',
+    'dealerHitsSoft17',
+    'blackjackPays',
+    'doubleAfterSplit',
+    'resplitAces',
+    'splitAcesOneCard',
+    'maxSplitHands',
+    'splitAnyTen',
+    'doubleOn',
+    'doubleForLess',
+    'surrenderMode',
+    'insuranceAllowed',
+    'dealerHoleCard',
+    'dealerPeek',
+    'enhc',
+    'dealerBlackjackLoses'
+];
+
+// Shared defaults so each preset only lists what sets it apart
+const BASE_RULES = {
+    deckCount: 6,
+    dealerHitsSoft17: false,
+    blackjackPays: 1.5,
+    doubleAfterSplit: true,
+    resplitAces: false,
+    splitAcesOneCard: true,
+    maxSplitHands: 4,
+    splitAnyTen: false,
+    doubleOn: 'any2',
+    doubleForLess: false,
+    surrenderMode: 'none',
+    insuranceAllowed: true,
+    dealerHoleCard: true,
+    dealerPeek: true,
+    enhc: false,
+    dealerBlackjackLoses: 'original'
+};
+
+const RULE_PRESETS = {
+    'vegas-strip': {
+        name: 'Vegas Strip',
+        rules: { ...BASE_RULES, deckCount: 6, dealerHitsSoft17: true, surrenderMode: 'late' }
+    },
+    'downtown': {
+        name: 'Downtown Vegas',
+        rules: { ...BASE_RULES, deckCount: 2, dealerHitsSoft17: true }
+    },
+    'atlantic-city': {
+        name: 'Atlantic City',
+        rules: { ...BASE_RULES, deckCount: 8, surrenderMode: 'late' }
+    },
+    'macau': {
+        name: 'Macau',
+        rules: {
+            ...BASE_RULES,
+            deckCount: 8,
+            surrenderMode: 'early-ten',
+            dealerPeek: false,
+            enhc: true,
+            dealerBlackjackLoses: 'all'
+        }
+    },
+    'single-deck-65': {
+        name: '6:5 Single Deck',
+        rules: {
+            ...BASE_RULES,
+            deckCount: 1,
+            dealerHitsSoft17: true,
+            blackjackPays: 1.2,
+            doubleAfterSplit: false,
+            maxSplitHands: 2
+        }
+    }
+};
+
+/**
+ * Applies, saves and matches rule presets against a game's settings
+ */
+class RulePresetManager {
+    constructor(game) {
+        this.game = game;
+        this.customPresets = {};
+        this.loadPreferences();
+    }
+
+    /**
+     * Built-in and saved presets, keyed by id
+     */
+    getAllPresets() {
+        return { ...RULE_PRESETS, ...this.customPresets };
+    }
+
+    getPreset(id) {
+        return this.getAllPresets()[id] || null;
+    }
+
+    isCustom(id) {
+        return !!this.customPresets[id];
+    }
+
+    /**
+     * The ruleset currently in force on the game
+     */
+    getCurrentRules() {
+        const rules = {};
+        for (const key of RULE_KEYS) {
+            rules[key] = this.game.settings[key];
+        }
+        return rules;
+    }
+
+    /**
+     * Apply a preset's rules to the game
+     * Only changed rules are passed on, so an unchanged deck count keeps the shoe (and the count) in play
+     */
+    applyPreset(id) {
+        const preset = this.getPreset(id);
+        if (!preset) return false;
+
+        const current = this.getCurrentRules();
+        const changed = {};
+        for (const key of RULE_KEYS) {
+            if (preset.rules[key] !== undefined && preset.rules[key] !== current[key]) {
+                changed[key] = preset.rules[key];
+            }
+        }
+        if (Object.keys(changed).length) this.game.updateSettings(changed);
+        return true;
+    }
+
+    /**
+     * Id of the first preset whose rules all match the table, or null
+     */
+    findMatchingPreset() {
+        const current = this.getCurrentRules();
+        const presets = this.getAllPresets();
+
+        for (const id of Object.keys(presets)) {
+            const rules = presets[id].rules;
+            if (RULE_KEYS.every(key => rules[key] === current[key])) return id;
+        }
+        return null;
+    }
+
+    /**
+     * Save the current table rules under a name
+     * @returns {string|null} New preset id, or null if the name is empty
+     */
+    saveCurrentAsPreset(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return null;
+
+        const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const id = `custom-${slug || Date.now()}`;
+        this.customPresets[id] = { name: trimmed, rules: this.getCurrentRules() };
+        this.savePreferences();
+        return id;
+    }
+
+    deletePreset(id) {
+        if (!this.customPresets[id]) return false;
+        delete this.customPresets[id];
+        this.savePreferences();
+        return true;
+    }
+
+    savePreferences() {
+        try {
+            localStorage.setItem('blackjack_rule_presets', JSON.stringify(this.customPresets));
+        } catch (e) { }
+    }
+
+    loadPreferences() {
+        try {
+            const saved = localStorage.getItem('blackjack_rule_presets');
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                // Fill in rules added since the preset was saved
+                for (const id of Object.keys(parsed)) {
+                    parsed[id].rules = { ...BASE_RULES, ...parsed[id].rules };
+                }
+                this.customPresets = parsed;
+            }
+        } catch (e) { }
+    }
+}
+
+// Export
+window.RulePresetManager = RulePresetManager;
+window.RULE_PRESETS = RULE_PRESETS;
+window.RULE_KEYS = RULE_KEYS;
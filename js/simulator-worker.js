@@ -0,0 +1,271 @@
+/**
+ * Blackjack Practice - Monte Carlo Simulator (Web Worker)
+ * Plays rounds headless under the table rules, a playing strategy, a counting system
+ * and a bet ramp, and reports EV, SD, win rate by true count, N0 and SCORE
+ */
+
+// The shared modules export onto window
+self.window = self;
+importScripts('deck.js', 'strategy-engine.js', 'deviations.js', 'game.js', 'bankroll.js');
+
+const SIM_CONFIG = {
+    CHUNK_ROUNDS: 20000,      // Rounds played between progress reports
+    MIN_TC_BUCKET: -10,
+    MAX_TC_BUCKET: 10
+};
+
+/**
+ * Synchronous round player used by the worker
+ */
+class BlackjackSimulator {
+    /**
+     * @param {Object} settings - BlackjackGame settings
+     * @param {Object} options - { strategy: 'basic' | 'deviations', countingSystem, ramp, penetration }
+     *   plus customSystem, the definition of a player-defined countingSystem, and indexSet, the
+     *   deviation indices to play (the built-in set for the system when left out)
+     */
+    constructor(settings, options) {
+        this.settings = settings;
+        this.options = options;
+        this.rules = getTableStrategyRules(settings);
+        this.useCount = options.strategy === 'deviations';
+        this.spots = Math.max(1, Math.min(CONFIG.MAX_SPOTS, parseInt(settings.numHands) || 1));
+
+        this.deck = new Deck(settings.deckCount || 6);
+        this.deck.setPenetration(options.penetration || 0.75);
+        if (options.customSystem && !COUNTING_SYSTEMS[options.countingSystem]) {
+            COUNTING_SYSTEMS[options.countingSystem] = options.customSystem;
+        }
+        this.deck.setCountingSystem(options.countingSystem || 'hi-lo');
+        this.deck.setTrueCountEstimation(settings.trueCountRounding, settings.deckEstimation);
+        this.indexSet = options.indexSet || getIndexSet(this.deck.countingSystem, !!settings.dealerHitsSoft17);
+        this.deck.shuffle();
+
+        this.stats = {
+            rounds: 0,
+            hands: 0,
+            wagered: 0,      // Initial units bet
+            net: 0,          // Units won
+            netSquared: 0,
+            byTrueCount: {}
+        };
+    }
+
+    draw(hand, faceUp = true) {
+        const card = this.deck.deal();
+        card.faceUp = faceUp;
+        hand.addCard(card);
+        if (faceUp) this.deck.updateCount(card);
+        return card;
+    }
+
+    /**
+     * Play one round and record it
+     */
+    playRound() {
+        if (this.deck.needsReshuffle()) this.deck.reshuffle();
+        this.deck.collectDiscards();
+
+        const s = this.settings;
+        const trueCount = this.deck.getTrueCount();
+        const units = this.options.ramp ? getRampUnits(this.options.ramp, trueCount) : 1;
+
+        const hands = [];
+        for (let spot = 0; spot < this.spots; spot++) {
+            const hand = new Hand();
+            hand.bet = units;
+            hand.spot = spot;
+            hands.push(hand);
+        }
+        const dealer = new Hand();
+        getDealOrder(hands, dealer, s).forEach(({ hand, faceUp }) => this.draw(hand, faceUp));
+        const upCard = dealer.cards[0];
+
+        const countFor = () => this.useCount ? this.deck.getTrueCount() : null;
+
+        // Early surrender before the peek
+        if (isEarlySurrenderOffered(upCard, s)) {
+            for (const hand of hands) {
+                if (!hand.isBlackjack() && getEarlySurrenderRecommendation(hand, upCard, this.rules)) {
+                    hand.isSurrendered = true;
+                    hand.isEarlySurrender = true;
+                }
+            }
+        }
+
+        // Insurance (and even money) only when the count says so
+        if (upCard.isAce && s.insuranceAllowed && this.useCount &&
+            this.deck.getTrueCount() >= this.indexSet.insurance.threshold) {
+            for (const hand of hands) {
+                if (!hand.isSurrendered) hand.insuranceBet = hand.bet / 2;
+            }
+        }
+
+        if (!(canDealerPeek(upCard, s) && dealer.isBlackjack())) {
+            this.playHands(hands, upCard, countFor);
+            this.playDealer(dealer, hands);
+        }
+
+        // The hole card is seen by the end of the round
+        const holeCard = dealer.cards[1];
+        if (holeCard && !holeCard.faceUp) {
+            holeCard.faceUp = true;
+            this.deck.updateCount(holeCard);
+        }
+
+        this.record(trueCount, units, this.settle(hands, dealer, units), hands.length);
+    }
+
+    playHands(hands, upCard, countFor) {
+        for (let i = 0; i < hands.length; i++) {
+            const hand = hands[i];
+            if (hand.isSurrendered) continue;
+            if (hand.isBlackjack()) {
+                hand.isStood = true;
+                continue;
+            }
+
+            // Split hands get their second card when play reaches them
+            if (hand.cards.length === 1) this.draw(hand);
+
+            while (!hand.isStood && !hand.isBusted && !hand.isSurrendered && hand.getValue() < 21) {
+                const canSplit = isSplitAllowed(hand, hands, this.settings);
+                if (isSplitAcesLocked(hand, this.settings) && !canSplit) break;
+
+                const action = getBasicStrategyRecommendation(
+                    hand, upCard,
+                    isDoubleAllowed(hand, this.settings),
+                    canSplit,
+                    isLateSurrenderAllowed(hand, this.settings),
+                    countFor(),
+                    this.rules,
+                    this.indexSet
+                );
+
+                if (action === 'STAND') {
+                    hand.isStood = true;
+                } else if (action === 'SURRENDER') {
+                    hand.isSurrendered = true;
+                } else if (action === 'DOUBLE') {
+                    hand.bet *= 2;
+                    hand.isDoubled = true;
+                    this.draw(hand);
+                    hand.isStood = true;
+                } else if (action === 'SPLIT') {
+                    splitHand(hands, i);
+                    this.draw(hand);
+                } else {
+                    this.draw(hand);
+                }
+            }
+        }
+    }
+
+    playDealer(dealer, hands) {
+        // ENHC: the dealer's second card is drawn only now
+        if (dealer.cards.length === 1) this.draw(dealer);
+        if (!isDealerPlayNeeded(hands)) return;
+
+        while (shouldDealerHit(dealer, this.settings)) this.draw(dealer);
+    }
+
+    /**
+     * Net units won by the round, settled as BlackjackGame.resolveHands() does
+     */
+    settle(hands, dealer, units) {
+        return settleHands(hands, dealer, this.settings, units)
+            .reduce((net, { payout, insuranceNet }, i) => net + payout - hands[i].bet + insuranceNet, 0);
+    }
+
+    record(trueCount, units, net, handCount) {
+        const stats = this.stats;
+        const wagered = units * this.spots;
+        stats.rounds++;
+        stats.hands += handCount;
+        stats.wagered += wagered;
+        stats.net += net;
+        stats.netSquared += net * net;
+
+        const bucket = Math.max(SIM_CONFIG.MIN_TC_BUCKET, Math.min(SIM_CONFIG.MAX_TC_BUCKET, trueCount));
+        const tc = stats.byTrueCount[bucket] || (stats.byTrueCount[bucket] = { rounds: 0, wagered: 0, net: 0 });
+        tc.rounds++;
+        tc.wagered += wagered;
+        tc.net += net;
+    }
+
+    /**
+     * Summary figures, all per round in units of the minimum bet
+     */
+    getResults() {
+        const { rounds, hands, wagered, net, netSquared, byTrueCount } = this.stats;
+        if (rounds === 0) return null;
+
+        const ev = net / rounds;
+        const variance = netSquared / rounds - ev * ev;
+        const sd = Math.sqrt(Math.max(0, variance));
+        const n0 = ev > 0 ? variance / (ev * ev) : null;
+
+        const trueCounts = Object.keys(byTrueCount)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(tc => ({
+                trueCount: tc,
+                frequency: byTrueCount[tc].rounds / rounds,
+                winRate: byTrueCount[tc].wagered > 0 ? byTrueCount[tc].net / byTrueCount[tc].wagered : 0
+            }));
+
+        return {
+            rounds,
+            hands,
+            ev,
+            evPercent: wagered > 0 ? net / wagered : 0,
+            sd,
+            averageBet: wagered / rounds,
+            n0,
+            // Win per 100 rounds at optimal bet sizing on a 10,000-unit bankroll
+            score: variance > 0 ? Math.sign(ev) * 1e6 * (ev * ev) / variance : 0,
+            trueCounts
+        };
+    }
+}
+
+let cancelled = false;
+
+function runChunks(simulator, totalRounds) {
+    if (cancelled) {
+        self.postMessage({ type: 'cancelled', results: simulator.getResults() });
+        return;
+    }
+
+    const target = Math.min(totalRounds, simulator.stats.rounds + SIM_CONFIG.CHUNK_ROUNDS);
+    while (simulator.stats.rounds < target) simulator.playRound();
+
+    if (simulator.stats.rounds >= totalRounds) {
+        self.postMessage({ type: 'done', results: simulator.getResults() });
+        return;
+    }
+
+    self.postMessage({ type: 'progress', done: simulator.stats.rounds, total: totalRounds, results: simulator.getResults() });
+
+    // Yield so a cancel message can arrive between chunks
+    setTimeout(() => runChunks(simulator, totalRounds), 0);
+}
+
+self.onmessage = (e) => {
+    const { type, settings, options } = e.data;
+
+    if (type === 'cancel') {
+        cancelled = true;
+        return;
+    }
+
+    if (type === 'start') {
+        cancelled = false;
+        try {
+            const simulator = new BlackjackSimulator(settings, options);
+            runChunks(simulator, options.rounds);
+        } catch (err) {
+            self.postMessage({ type: 'error', message: err.message });
+        }
+    }
+};
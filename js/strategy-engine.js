@@ -0,0 +1,348 @@
+/**
+ * Blackjack Practice - Strategy Engine
+ * Computes total-dependent basic strategy by combinatorial expected value for a
+ * ruleset, so hints follow the rules actually in force
+ */
+
+// Rules the generated strategy depends on (matches the game's default table)
+const DEFAULT_STRATEGY_RULES = {
+    deckCount: 6,
+    h17: true,
+    das: true,
+    peek: true,                      // false under ENHC or when the dealer does not check for blackjack
+    dealerBlackjackLoses: 'original',
+    doubleOn: 'any2',
+    resplitAces: false,
+    splitAcesOneCard: true,
+    maxSplitHands: 4
+};
+
+// Basic strategy EVs keyed by ruleset, upcard and hand total (hard, soft or pair)
+const STRATEGY_CACHE = new Map();
+
+/**
+ * Rank index used by the engine: 1 = Ace, 2-9, 10 = any ten-value card
+ */
+function getRankIndex(card) {
+    return card.isAce ? 1 : Math.min(card.value, 10);
+}
+
+/**
+ * Card counts by rank index for a full shoe
+ */
+function getShoeCounts(deckCount) {
+    const counts = new Array(11).fill(0);
+    for (let r = 1; r <= 9; r++) counts[r] = 4 * deckCount;
+    counts[10] = 16 * deckCount;
+    return counts;
+}
+
+/**
+ * Card counts by rank index for the cards left in a deck
+ */
+function getCountsFromCards(cards) {
+    const counts = new Array(11).fill(0);
+    for (const card of cards) counts[getRankIndex(card)]++;
+    return counts;
+}
+
+function getBestTotal(hardSum, hasAce) {
+    return hasAce && hardSum + 10 <= 21 ? hardSum + 10 : hardSum;
+}
+
+/**
+ * Dealer final totals for an upcard, dealt without replacement from the counts
+ * @returns {Object} { outcomes, blackjack } - outcomes are P(17..21) then P(bust), given no dealer blackjack
+ */
+function getDealerProbabilities(counts, upRank, h17) {
+    const cards = counts.slice();
+    cards[upRank]--;
+    const memo = new Map();
+
+    // Result layout: [17, 18, 19, 20, 21, bust, blackjack]
+    const draw = (remaining, hardSum, hasAce, cardCount) => {
+        const total = getBestTotal(hardSum, hasAce);
+        const result = new Array(7).fill(0);
+
+        if (total > 21) {
+            result[5] = 1;
+            return result;
+        }
+        if (cardCount === 2 && total === 21) {
+            result[6] = 1;
+            return result;
+        }
+        const soft = hasAce && hardSum + 10 <= 21;
+        if (total > 17 || (total === 17 && !(soft && h17))) {
+            result[total - 17] = 1;
+            return result;
+        }
+
+        // The cards drawn so far fix the totals, so the remaining counts identify the state
+        const key = cards.join(',');
+        if (memo.has(key)) return memo.get(key);
+
+        for (let r = 1; r <= 10; r++) {
+            if (cards[r] === 0) continue;
+            const p = cards[r] / remaining;
+            cards[r]--;
+            const next = draw(remaining - 1, hardSum + r, hasAce || r === 1, cardCount + 1);
+            cards[r]++;
+            for (let i = 0; i < 7; i++) result[i] += p * next[i];
+        }
+
+        memo.set(key, result);
+        return result;
+    };
+
+    const remaining = cards.reduce((sum, n) => sum + n, 0);
+    const result = draw(remaining, upRank, upRank === 1, 1);
+    const blackjack = result[6];
+    const outcomes = result.slice(0, 6).map(p => blackjack < 1 ? p / (1 - blackjack) : 0);
+    return { outcomes, blackjack };
+}
+
+function isDoubleTotalAllowed(total, doubleOn) {
+    if (doubleOn === '9-11') return total >= 9 && total <= 11;
+    if (doubleOn === '10-11') return total === 10 || total === 11;
+    return true;
+}
+
+/**
+ * Expected value of every action for a hand against one upcard, per unit of original bet.
+ * The player's draws come out of the cards left without replacement; the dealer's totals
+ * are taken from the shoe as it stands after the deal.
+ * @param {number[]} counts - Unseen cards by rank index, with the upcard and the player's cards already out
+ * @param {number} upRank - Dealer upcard rank index
+ * @param {number[]} playerRanks - Rank indices of the player's cards
+ * @param {Object} rules - Strategy rules (see DEFAULT_STRATEGY_RULES)
+ * @returns {Object} { STAND, HIT, DOUBLE, SURRENDER, SPLIT, dealerBlackjack } - SPLIT only for two cards of one rank index
+ */
+function computeHandEVs(counts, upRank, playerRanks, rules) {
+    // getDealerProbabilities() takes the upcard out of the counts itself
+    const dealerCounts = counts.slice();
+    dealerCounts[upRank]++;
+    const { outcomes, blackjack } = getDealerProbabilities(dealerCounts, upRank, rules.h17);
+
+    const standByTotal = [];
+    for (let total = 4; total <= 21; total++) {
+        let ev = outcomes[5];
+        for (let i = 0; i < 5; i++) {
+            const dealerTotal = 17 + i;
+            if (total > dealerTotal) ev += outcomes[i];
+            else if (total < dealerTotal) ev -= outcomes[i];
+        }
+        standByTotal[total] = ev;
+    }
+    const stand = (total) => total > 21 ? -1 : standByTotal[Math.max(total, 4)];
+
+    // Cards left for the player's draws, changed in place as the recursion draws and puts back
+    const shoe = counts.slice();
+    let cardTotal = shoe.reduce((sum, n) => sum + n, 0);
+    const drawEach = (visit) => {
+        let ev = 0;
+        for (let r = 1; r <= 10; r++) {
+            if (shoe[r] === 0) continue;
+            const p = shoe[r] / cardTotal;
+            shoe[r]--;
+            cardTotal--;
+            ev += p * visit(r);
+            shoe[r]++;
+            cardTotal++;
+        }
+        return ev;
+    };
+
+    const hitMemo = new Map();
+    const hit = (hardSum, hasAce) => {
+        const key = `${hardSum}|${hasAce}|${shoe.join(',')}`;
+        if (hitMemo.has(key)) return hitMemo.get(key);
+        const ev = drawEach(r => hardSum + r > 21 ? -1 : best(hardSum + r, hasAce || r === 1));
+        hitMemo.set(key, ev);
+        return ev;
+    };
+    const best = (hardSum, hasAce) => {
+        const total = getBestTotal(hardSum, hasAce);
+        return total === 21 ? stand(21) : Math.max(stand(total), hit(hardSum, hasAce));
+    };
+    const double = (hardSum, hasAce) =>
+        2 * drawEach(r => hardSum + r > 21 ? -1 : stand(getBestTotal(hardSum + r, hasAce || r === 1)));
+
+    // Without a peek, a dealer blackjack settles the hand before any of these EVs apply
+    const noPeekBlackjack = rules.peek ? 0 : blackjack;
+    const extraLoss = rules.dealerBlackjackLoses === 'all' ? 2 : 1;
+    const withBlackjack = (ev, loss) => (1 - noPeekBlackjack) * ev - noPeekBlackjack * loss;
+
+    const hardSum = playerRanks.reduce((sum, r) => sum + r, 0);
+    const hasAce = playerRanks.includes(1);
+    const evs = {
+        STAND: withBlackjack(stand(getBestTotal(hardSum, hasAce)), 1),
+        HIT: withBlackjack(hit(hardSum, hasAce), 1),
+        DOUBLE: withBlackjack(double(hardSum, hasAce), extraLoss),
+        // Late surrender after a peek gives back half; without one a dealer blackjack takes it all
+        SURRENDER: withBlackjack(-0.5, 1),
+        dealerBlackjack: blackjack
+    };
+
+    // Splits: each new hand starts from one card of the pair and draws from the same shoe
+    const r = playerRanks[0];
+    if (playerRanks.length === 2 && playerRanks[1] === r) {
+        const playSplitHand = (s) => {
+            const splitSum = r + s;
+            const splitAce = r === 1 || s === 1;
+            const total = getBestTotal(splitSum, splitAce);
+            if (r === 1 && rules.splitAcesOneCard) return stand(total);
+            let ev = best(splitSum, splitAce);
+            if (rules.das && isDoubleTotalAllowed(total, rules.doubleOn)) ev = Math.max(ev, double(splitSum, splitAce));
+            return ev;
+        };
+        const canResplit = r !== 1 || rules.resplitAces;
+        const handEV = (hands) => drawEach(s => {
+            const value = playSplitHand(s);
+            return s === r && canResplit && hands < rules.maxSplitHands ? Math.max(value, 2 * handEV(hands + 1)) : value;
+        });
+        evs.SPLIT = withBlackjack(2 * handEV(2), extraLoss);
+    }
+    return evs;
+}
+
+/**
+ * EV of insuring a hand, per unit of original bet (insurance costs half the bet and pays 2:1)
+ * @param {number[]} counts - Unseen cards by rank index, upcard excluded
+ */
+function getInsuranceEV(counts) {
+    const unseen = counts.reduce((sum, n) => sum + n, 0);
+    if (unseen === 0) return 0;
+    const tenProbability = counts[10] / unseen;
+    return 0.5 * (3 * tenProbability - 1);
+}
+
+function getStrategyKey(rules) {
+    return Object.keys(DEFAULT_STRATEGY_RULES).map(key => `${key}:${rules[key]}`).join('|');
+}
+
+/**
+ * EV of each action for a hand
+ * @param {number[]} counts - Unseen cards by rank index, with the upcard and the hand's cards already out
+ * @param {boolean} anyTenPair - Whether two unlike ten-value cards count as a pair
+ * @returns {Object} { STAND, HIT, DOUBLE, SURRENDER, SPLIT } - SPLIT only for pairs
+ */
+function getActionEVs(playerHand, dealerUpCard, counts, rules, anyTenPair = true) {
+    const evs = computeHandEVs(counts, getRankIndex(dealerUpCard), playerHand.cards.map(getRankIndex), rules);
+    if (!playerHand.canSplit(anyTenPair)) delete evs.SPLIT;
+    delete evs.dealerBlackjack;
+    return evs;
+}
+
+/**
+ * Two-card hands that make a total, each with the chance of it being dealt from the counts
+ * @returns {Array<{ranks: number[], weight: number}>}
+ */
+function getTotalCompositions(counts, total, soft) {
+    const compositions = [];
+    const add = (a, b) => {
+        const weight = a === b ? counts[a] * (counts[a] - 1) : 2 * counts[a] * counts[b];
+        if (weight > 0) compositions.push({ ranks: [a, b], weight });
+    };
+    if (soft) {
+        add(1, total - 11);
+    } else {
+        for (let a = 2; a <= 10 && 2 * a <= total; a++) {
+            if (total - a <= 10) add(a, total - a);
+        }
+    }
+    return compositions;
+}
+
+/**
+ * Full-shoe EVs for one total against one upcard, averaged over the two-card hands that make it
+ */
+function getTotalEVs(upRank, total, soft, rules) {
+    const key = `${getStrategyKey(rules)}|${upRank}|${soft ? 'S' : 'H'}${total}`;
+    if (STRATEGY_CACHE.has(key)) return STRATEGY_CACHE.get(key);
+
+    const counts = getShoeCounts(rules.deckCount);
+    counts[upRank]--;
+    const evs = { STAND: 0, HIT: 0, DOUBLE: 0, SURRENDER: 0 };
+    const compositions = getTotalCompositions(counts, total, soft);
+    const totalWeight = compositions.reduce((sum, c) => sum + c.weight, 0);
+
+    for (const { ranks, weight } of compositions) {
+        const remaining = counts.slice();
+        ranks.forEach(r => remaining[r]--);
+        const handEVs = computeHandEVs(remaining, upRank, ranks, rules);
+        for (const action of Object.keys(evs)) evs[action] += handEVs[action] * weight / totalWeight;
+    }
+
+    STRATEGY_CACHE.set(key, evs);
+    return evs;
+}
+
+/**
+ * Full-shoe EV of splitting a pair of one rank index against one upcard
+ */
+function getPairSplitEV(upRank, pairRank, rules) {
+    const key = `${getStrategyKey(rules)}|${upRank}|P${pairRank}`;
+    if (STRATEGY_CACHE.has(key)) return STRATEGY_CACHE.get(key);
+
+    const counts = getShoeCounts(rules.deckCount);
+    counts[upRank]--;
+    counts[pairRank] -= 2;
+    const ev = computeHandEVs(counts, upRank, [pairRank, pairRank], rules).SPLIT;
+    STRATEGY_CACHE.set(key, ev);
+    return ev;
+}
+
+/**
+ * Basic strategy EVs for a hand under a ruleset. They depend only on the hand's total
+ * (hard or soft) and, for a two-card pair, its rank, never on the cards that made it.
+ * @returns {Object} { STAND, HIT, DOUBLE, SURRENDER, SPLIT } - SPLIT only for pairs
+ */
+function getBasicStrategyEVs(playerHand, dealerUpCard, rules = {}) {
+    const fullRules = { ...DEFAULT_STRATEGY_RULES, ...rules };
+    const upRank = getRankIndex(dealerUpCard);
+    const ranks = playerHand.cards.map(getRankIndex);
+    const hardSum = ranks.reduce((sum, r) => sum + r, 0);
+    const soft = ranks.includes(1) && hardSum + 10 <= 21;
+    const total = getBestTotal(hardSum, soft);
+
+    const evs = { ...getTotalEVs(upRank, total, soft, fullRules) };
+    if (ranks.length === 2 && ranks[0] === ranks[1]) evs.SPLIT = getPairSplitEV(upRank, ranks[0], fullRules);
+    return evs;
+}
+
+/**
+ * Best legal action for a hand under the generated strategy
+ */
+function getGeneratedRecommendation(playerHand, dealerUpCard, canDouble, canSplit, canSurrender, rules = {}) {
+    if (playerHand.getValue() >= 21) return 'STAND';
+
+    const evs = getBasicStrategyEVs(playerHand, dealerUpCard, rules);
+
+    const legal = {
+        STAND: true,
+        HIT: true,
+        DOUBLE: canDouble,
+        SPLIT: canSplit && evs.SPLIT !== undefined,
+        SURRENDER: canSurrender
+    };
+
+    let bestAction = 'STAND';
+    for (const action of ['HIT', 'DOUBLE', 'SPLIT', 'SURRENDER']) {
+        if (legal[action] && evs[action] > evs[bestAction]) bestAction = action;
+    }
+    return bestAction;
+}
+
+// === Global Exports ===
+window.DEFAULT_STRATEGY_RULES = DEFAULT_STRATEGY_RULES;
+window.getRankIndex = getRankIndex;
+window.getShoeCounts = getShoeCounts;
+window.getCountsFromCards = getCountsFromCards;
+window.getDealerProbabilities = getDealerProbabilities;
+window.isDoubleTotalAllowed = isDoubleTotalAllowed;
+window.computeHandEVs = computeHandEVs;
+window.getActionEVs = getActionEVs;
+window.getBasicStrategyEVs = getBasicStrategyEVs;
+window.getInsuranceEV = getInsuranceEV;
+window.getGeneratedRecommendation = getGeneratedRecommendation;
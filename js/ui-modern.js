@@ -23,13 +23,25 @@ class BlackjackUI {
         this.countingEnabled = false;
         this.autoBetEnabled = false;
         this.wrongPlayFeedback = false;
+        this.evReadoutEnabled = false;
+        this.countCheckpoints = 'off';
+        this.roundsSinceCheckpoint = 0;
         this.lastBet = 0;
+        this.handResults = [];
         this.reshuffleCooldown = false;
         this.winStreak = 0;
         this.biggestWin = 0;
+        this.simulatorWorker = null;
+        this.simulationOptions = null;
+        this.lastSimulation = null;
+        this.riskSettings = { tripHours: 8, targetRisk: 5, source: 'analytic' };
 
         this.soundManager = window.soundManager;
         this.themeManager = window.themeManager;
+        this.presetManager = window.presetManager;
+        this.countSystemManager = window.countSystemManager;
+        this.deviationManager = window.deviationManager;
+        this.drillRecords = window.drillRecords;
 
         this.loadUIPreferences();
 
@@ -40,6 +52,7 @@ class BlackjackUI {
         this.game.onBalanceChange = this.updateBalance.bind(this);
         this.game.onCountUpdate = this.updateCardCount.bind(this);
         this.game.onInsurancePrompt = this.showInsurancePrompt.bind(this);
+        this.game.onEarlySurrenderPrompt = this.showEarlySurrenderPrompt.bind(this);
         this.game.onReshuffle = this.handleReshuffle.bind(this);
 
         this.init();
@@ -51,6 +64,7 @@ class BlackjackUI {
         this.loadSettingsUI();
         this.updateBalance(this.game.balance);
         this.updateStats();
+        this.updateRiskStat();
         this.updateShoeInfo();
         this.updateActionButtons();
         this.updateCountDisplay();
@@ -83,6 +97,7 @@ class BlackjackUI {
             statsHands: document.getElementById('stats-hands'),
             statsWinrate: document.getElementById('stats-winrate'),
             statsProfit: document.getElementById('stats-profit'),
+            btnRisk: document.getElementById('btn-risk'),
 
             // Shoe
             cardsRemaining: document.getElementById('cards-remaining'),
@@ -108,6 +123,12 @@ class BlackjackUI {
             settingsModal: document.getElementById('settings-modal'),
             insuranceModal: document.getElementById('insurance-modal'),
             addMoneyModal: document.getElementById('add-money-modal'),
+            historyModal: document.getElementById('history-modal'),
+            simulatorModal: document.getElementById('simulator-modal'),
+            riskModal: document.getElementById('risk-modal'),
+            systemsModal: document.getElementById('systems-modal'),
+            indicesModal: document.getElementById('indices-modal'),
+            trainingModal: document.getElementById('training-modal'),
 
             // Result
             resultOverlay: document.getElementById('result-overlay'),
@@ -118,6 +139,18 @@ class BlackjackUI {
             // Hints
             hintContainer: document.getElementById('hint-container'),
             hintText: document.getElementById('hint-text'),
+            evReadout: document.getElementById('ev-readout'),
+            toggleEvReadout: document.getElementById('toggle-ev-readout'),
+
+            // Bet advisor
+            betAdvice: document.getElementById('bet-advice'),
+            settingBetAdvisor: document.getElementById('setting-bet-advisor'),
+            settingBetUnit: document.getElementById('setting-bet-unit'),
+            settingBetRamp: document.getElementById('setting-bet-ramp'),
+            settingKellyFraction: document.getElementById('setting-kelly-fraction'),
+            betUnitGroup: document.getElementById('bet-unit-group'),
+            betRampGroup: document.getElementById('bet-ramp-group'),
+            kellyFractionGroup: document.getElementById('kelly-fraction-group'),
 
             // Settings
             btnSettings: document.getElementById('btn-settings'),
@@ -125,6 +158,20 @@ class BlackjackUI {
             settingDeckCount: document.getElementById('setting-deck-count'),
             settingReshuffleAt: document.getElementById('setting-reshuffle-at'),
             settingDealerH17: document.getElementById('setting-dealer-h17'),
+            settingNumHands: document.getElementById('setting-num-hands'),
+            settingBlackjackPays: document.getElementById('setting-blackjack-pays'),
+
+            // House edge
+            houseEdgeValue: document.getElementById('house-edge-value'),
+            houseEdgeLoss: document.getElementById('house-edge-loss'),
+            houseEdgeBreakdown: document.getElementById('house-edge-breakdown'),
+
+            // Rule presets
+            settingRulePreset: document.getElementById('setting-rule-preset'),
+            presetMatch: document.getElementById('preset-match'),
+            presetNameInput: document.getElementById('preset-name-input'),
+            btnSavePreset: document.getElementById('btn-save-preset'),
+            btnDeletePreset: document.getElementById('btn-delete-preset'),
             toggleHints: document.getElementById('toggle-hints'),
             toggleSound: document.getElementById('toggle-sound'),
             toggleCounting: document.getElementById('toggle-counting'),
@@ -132,15 +179,149 @@ class BlackjackUI {
             // Card counting
             countDisplay: document.getElementById('count-display'),
             runningCount: document.getElementById('running-count'),
+            keyCountItem: document.getElementById('key-count-item'),
+            keyCount: document.getElementById('key-count'),
+            countSystemInfo: document.getElementById('count-system-info'),
+            sideCounts: document.getElementById('side-counts'),
+            sideCountToggles: document.querySelectorAll('[data-side-count]'),
             trueCount: document.getElementById('true-count'),
-            countingSystemGroup: document.getElementById('counting-system-group'),
+            countingOptions: document.querySelectorAll('[data-counting-option]'),
             settingCountSystem: document.getElementById('setting-count-system'),
+            settingTcRounding: document.getElementById('setting-tc-rounding'),
+            settingDeckEstimation: document.getElementById('setting-deck-estimation'),
 
             // Insurance
+            insuranceTitle: document.getElementById('insurance-title'),
+            insuranceDesc: document.getElementById('insurance-desc'),
+            insuranceCostRow: document.getElementById('insurance-cost-row'),
+            insuranceNote: document.getElementById('insurance-note'),
+            insuranceHint: document.getElementById('insurance-hint'),
+            insuranceEv: document.getElementById('insurance-ev'),
+            insuranceAcceptLabel: document.getElementById('insurance-accept-label'),
             insuranceCost: document.getElementById('insurance-cost'),
             btnTakeInsurance: document.getElementById('btn-take-insurance'),
             btnDeclineInsurance: document.getElementById('btn-decline-insurance'),
 
+            // Simulator
+            btnSimulator: document.getElementById('btn-simulator'),
+            btnCloseSimulator: document.getElementById('btn-close-simulator'),
+            simRounds: document.getElementById('sim-rounds'),
+            simStrategy: document.getElementById('sim-strategy'),
+            simCountSystem: document.getElementById('sim-count-system'),
+            simRamp: document.getElementById('sim-ramp'),
+            simProgress: document.getElementById('sim-progress'),
+            simProgressFill: document.getElementById('sim-progress-fill'),
+            simStatus: document.getElementById('sim-status'),
+            simResults: document.getElementById('sim-results'),
+            btnRunSimulation: document.getElementById('btn-run-simulation'),
+            btnCancelSimulation: document.getElementById('btn-cancel-simulation'),
+
+            // Risk of ruin
+            btnCloseRisk: document.getElementById('btn-close-risk'),
+            riskBankroll: document.getElementById('risk-bankroll'),
+            riskUnit: document.getElementById('risk-unit'),
+            riskRamp: document.getElementById('risk-ramp'),
+            riskTripHours: document.getElementById('risk-trip-hours'),
+            riskTarget: document.getElementById('risk-target'),
+            riskSource: document.getElementById('risk-source'),
+            riskBasis: document.getElementById('risk-basis'),
+            riskResults: document.getElementById('risk-results'),
+
+            // Counting system editor
+            btnEditSystems: document.getElementById('btn-edit-systems'),
+            btnCloseSystems: document.getElementById('btn-close-systems'),
+            systemEditorSelect: document.getElementById('system-editor-select'),
+            systemEditorName: document.getElementById('system-editor-name'),
+            systemEditorBalanced: document.getElementById('system-editor-balanced'),
+            systemEditorPivotRow: document.getElementById('system-editor-pivot-row'),
+            systemEditorPivot: document.getElementById('system-editor-pivot'),
+            systemEditorTags: document.getElementById('system-editor-tags'),
+            systemEditorStatus: document.getElementById('system-editor-status'),
+            systemEditorJson: document.getElementById('system-editor-json'),
+            btnSaveSystem: document.getElementById('btn-save-system'),
+            btnDeleteSystem: document.getElementById('btn-delete-system'),
+            btnExportSystem: document.getElementById('btn-export-system'),
+            btnImportSystem: document.getElementById('btn-import-system'),
+
+            // Deviation index editor
+            indicesSummary: document.getElementById('indices-summary'),
+            btnEditIndices: document.getElementById('btn-edit-indices'),
+            btnCloseIndices: document.getElementById('btn-close-indices'),
+            indicesSystem: document.getElementById('indices-system'),
+            indicesRules: document.getElementById('indices-rules'),
+            indicesSource: document.getElementById('indices-source'),
+            indexList: document.getElementById('index-list'),
+            indexHandType: document.getElementById('index-hand-type'),
+            indexTotalRow: document.getElementById('index-total-row'),
+            indexTotal: document.getElementById('index-total'),
+            indexUpcard: document.getElementById('index-upcard'),
+            indexPlayRow: document.getElementById('index-play-row'),
+            indexAction: document.getElementById('index-action'),
+            indexDirectionRow: document.getElementById('index-direction-row'),
+            indexDirection: document.getElementById('index-direction'),
+            indexThreshold: document.getElementById('index-threshold'),
+            btnAddIndex: document.getElementById('btn-add-index'),
+            btnResetIndices: document.getElementById('btn-reset-indices'),
+
+            // Training drills
+            btnTraining: document.getElementById('btn-training'),
+            btnCloseTraining: document.getElementById('btn-close-training'),
+            trainingDrill: document.getElementById('training-drill'),
+            drillPanels: document.querySelectorAll('[data-drill-panel]'),
+            deckDrillSystem: document.getElementById('deck-drill-system'),
+            deckDrillGroup: document.getElementById('deck-drill-group'),
+            deckDrillSpeed: document.getElementById('deck-drill-speed'),
+            deckDrillCards: document.getElementById('deck-drill-cards'),
+            deckDrillProgress: document.getElementById('deck-drill-progress'),
+            deckDrillAnswerRow: document.getElementById('deck-drill-answer-row'),
+            deckDrillAnswer: document.getElementById('deck-drill-answer'),
+            btnDeckDrillSubmit: document.getElementById('btn-deck-drill-submit'),
+            deckDrillResult: document.getElementById('deck-drill-result'),
+            deckDrillStats: document.getElementById('deck-drill-stats'),
+            btnDeckDrillStart: document.getElementById('btn-deck-drill-start'),
+            btnDeckDrillStop: document.getElementById('btn-deck-drill-stop'),
+            flashcardFocus: document.getElementById('flashcard-focus'),
+            flashcardDealer: document.getElementById('flashcard-dealer'),
+            flashcardPlayer: document.getElementById('flashcard-player'),
+            flashcardButtons: document.querySelectorAll('[data-flashcard-action]'),
+            flashcardResult: document.getElementById('flashcard-result'),
+            flashcardStats: document.getElementById('flashcard-stats'),
+            flashcardUpcards: document.getElementById('flashcard-upcards'),
+            quizIndexSet: document.getElementById('quiz-index-set'),
+            quizTrueCount: document.getElementById('quiz-true-count'),
+            quizDealer: document.getElementById('quiz-dealer'),
+            quizPlayer: document.getElementById('quiz-player'),
+            quizButtons: document.querySelectorAll('[data-quiz-action]'),
+            quizResult: document.getElementById('quiz-result'),
+            quizProgress: document.getElementById('quiz-progress'),
+            quizStats: document.getElementById('quiz-stats'),
+            btnQuizNext: document.getElementById('btn-quiz-next'),
+            settingCountChecks: document.getElementById('setting-count-checks'),
+            checkpointModal: document.getElementById('checkpoint-modal'),
+            checkpointRunning: document.getElementById('checkpoint-running'),
+            checkpointTrue: document.getElementById('checkpoint-true'),
+            checkpointResult: document.getElementById('checkpoint-result'),
+            checkpointScore: document.getElementById('checkpoint-score'),
+            checkpointAcceptLabel: document.getElementById('checkpoint-accept-label'),
+            btnSkipCheckpoint: document.getElementById('btn-skip-checkpoint'),
+            btnSubmitCheckpoint: document.getElementById('btn-submit-checkpoint'),
+            tcDrillVisual: document.getElementById('tc-drill-visual'),
+            tcDrillRules: document.getElementById('tc-drill-rules'),
+            tcDrillGraphic: document.getElementById('tc-drill-graphic'),
+            tcDrillFill: document.getElementById('tc-drill-fill'),
+            tcDrillRc: document.getElementById('tc-drill-rc'),
+            tcDrillAnswer: document.getElementById('tc-drill-answer'),
+            btnTcDrillSubmit: document.getElementById('btn-tc-drill-submit'),
+            tcDrillResult: document.getElementById('tc-drill-result'),
+            tcDrillStats: document.getElementById('tc-drill-stats'),
+            btnTcDrillNext: document.getElementById('btn-tc-drill-next'),
+
+            // Hand history
+            btnHistory: document.getElementById('btn-history'),
+            btnCloseHistory: document.getElementById('btn-close-history'),
+            btnClearHistory: document.getElementById('btn-clear-history'),
+            historyList: document.getElementById('history-list'),
+
             // Add Money
             btnAddChips: document.getElementById('btn-add-chips'),
             btnCloseAddMoney: document.getElementById('btn-close-add-money'),
@@ -153,6 +334,34 @@ class BlackjackUI {
             toggleAutobet: document.getElementById('toggle-autobet'),
             toggleWrongplay: document.getElementById('toggle-wrongplay'),
             toggleHoleCard: document.getElementById('toggle-hole-card'),
+            toggleEnhc: document.getElementById('toggle-enhc'),
+            toggleDealerPeek: document.getElementById('toggle-dealer-peek'),
+            settingDealerBjLoses: document.getElementById('setting-dealer-bj-loses'),
+
+            // Split rules
+            toggleDas: document.getElementById('toggle-das'),
+            toggleResplitAces: document.getElementById('toggle-resplit-aces'),
+            toggleSplitAcesOneCard: document.getElementById('toggle-split-aces-one-card'),
+            settingMaxSplitHands: document.getElementById('setting-max-split-hands'),
+            settingSplitTens: document.getElementById('setting-split-tens'),
+
+            // Surrender
+            settingSurrenderMode: document.getElementById('setting-surrender-mode'),
+            surrenderModal: document.getElementById('surrender-modal'),
+            surrenderDesc: document.getElementById('surrender-desc'),
+            surrenderReturn: document.getElementById('surrender-return'),
+            surrenderHint: document.getElementById('surrender-hint'),
+            btnEarlySurrender: document.getElementById('btn-early-surrender'),
+            btnDeclineSurrender: document.getElementById('btn-decline-surrender'),
+
+            // Double rules
+            settingDoubleOn: document.getElementById('setting-double-on'),
+            toggleDoubleForLess: document.getElementById('toggle-double-for-less'),
+            doubleModal: document.getElementById('double-modal'),
+            doubleAmountInput: document.getElementById('double-amount-input'),
+            doubleMax: document.getElementById('double-max'),
+            btnConfirmDouble: document.getElementById('btn-confirm-double'),
+            btnCancelDouble: document.getElementById('btn-cancel-double'),
             themePicker: document.getElementById('theme-picker'),
             settingSoundPack: document.getElementById('setting-sound-pack'),
             settingVolume: document.getElementById('setting-volume'),
@@ -224,6 +433,44 @@ class BlackjackUI {
             this.game.updateSettings({ dealerHitsSoft17: e.target.checked });
         });
 
+        this.elements.settingBlackjackPays?.addEventListener('change', (e) => {
+            this.game.updateSettings({ blackjackPays: parseFloat(e.target.value) });
+        });
+
+        // Bet advisor
+        this.elements.settingBetAdvisor?.addEventListener('change', (e) => {
+            this.game.updateSettings({ betAdvisor: e.target.value });
+            this.updateBetAdvisorRows();
+            this.updateBetAdvice();
+        });
+        this.elements.settingBetUnit?.addEventListener('change', () => {
+            this.updateBetSpread(this.elements.settingBetUnit.value, this.elements.settingBetRamp?.value);
+        });
+        this.elements.settingBetRamp?.addEventListener('change', () => {
+            this.updateBetSpread(this.elements.settingBetUnit?.value, this.elements.settingBetRamp.value);
+        });
+        this.elements.settingKellyFraction?.addEventListener('change', (e) => {
+            this.game.updateSettings({ kellyFraction: parseFloat(e.target.value) });
+            this.updateBetAdvice();
+        });
+        this.elements.betAdvice?.addEventListener('click', () => this.applyBetAdvice());
+
+        // Rule presets
+        this.elements.settingRulePreset?.addEventListener('change', (e) => {
+            if (e.target.value) this.applyRulePreset(e.target.value);
+        });
+        this.elements.btnSavePreset?.addEventListener('click', () => this.saveRulePreset());
+        this.elements.btnDeletePreset?.addEventListener('click', () => this.deleteRulePreset());
+
+        // Any rule change may move the table onto or off a preset and changes the house edge
+        this.elements.settingsModal?.addEventListener('change', (e) => {
+            if (e.target !== this.elements.settingRulePreset) this.updatePresetMatch();
+            this.updateHouseEdge();
+            this.updateRiskStat();
+            this.updateCountSystemInfo();
+            this.updateIndexSummary();
+        });
+
         this.elements.toggleInsurance?.addEventListener('change', (e) => {
             this.game.updateSettings({ insuranceAllowed: e.target.checked });
         });
@@ -239,15 +486,44 @@ class BlackjackUI {
             this.countingEnabled = e.target.checked;
             this.game.updateSettings({ countingEnabled: this.countingEnabled });
             this.updateCountDisplay();
-            if (this.elements.countingSystemGroup) {
-                this.elements.countingSystemGroup.style.display = this.countingEnabled ? 'flex' : 'none';
-            }
+            this.updateCountingOptions();
+            this.updateBetAdvice();
+            this.saveUIPreferences();
+        });
+
+        this.elements.settingCountChecks?.addEventListener('change', (e) => {
+            this.countCheckpoints = e.target.value;
+            this.roundsSinceCheckpoint = 0;
+            this.updateCountDisplay();
+            this.updateBetAdvice();
+            this.updateHint();
             this.saveUIPreferences();
         });
 
+        this.elements.sideCountToggles?.forEach(toggle => {
+            toggle.addEventListener('change', () => {
+                const ranks = Array.from(this.elements.sideCountToggles)
+                    .filter(t => t.checked)
+                    .map(t => t.value);
+                this.game.updateSettings({ sideCounts: ranks });
+                this.updateCountDisplay();
+                this.updateBetAdvice();
+            });
+        });
+
         this.elements.settingCountSystem?.addEventListener('change', (e) => {
             this.game.updateSettings({ countingSystem: e.target.value });
-            this.game.deck.setCountingSystem(e.target.value);
+            this.updateCountSystemInfo();
+        });
+
+        this.elements.settingTcRounding?.addEventListener('change', (e) => {
+            this.game.updateSettings({ trueCountRounding: e.target.value });
+            this.updateBetAdvice();
+        });
+
+        this.elements.settingDeckEstimation?.addEventListener('change', (e) => {
+            this.game.updateSettings({ deckEstimation: e.target.value });
+            this.updateBetAdvice();
         });
 
         this.elements.toggleSound?.addEventListener('change', (e) => {
@@ -268,6 +544,15 @@ class BlackjackUI {
             const numHands = parseInt(e.target.value);
             this.game.updateSettings({ numHands });
             this.showToast(`${numHands} hand${numHands > 1 ? 's' : ''} per round`);
+
+            // Keep the pending bet affordable across every spot
+            if (this.game.state === GameState.BETTING && this.getCurrentBet() > this.getMaxSpotBet()) {
+                this.placedChips = this.convertAmountToChips(this.getMaxSpotBet());
+                this.setBet(this.getMaxSpotBet());
+                this.renderChipStacks();
+            } else {
+                this.setBet(this.getCurrentBet());
+            }
         });
 
         // Theme picker
@@ -314,11 +599,84 @@ class BlackjackUI {
             this.saveUIPreferences();
         });
 
+        // Action EV readout toggle
+        this.elements.toggleEvReadout?.addEventListener('change', (e) => {
+            this.evReadoutEnabled = e.target.checked;
+            this.updateEvReadout();
+            this.saveUIPreferences();
+        });
+
         // Dealer hole card toggle
         this.elements.toggleHoleCard?.addEventListener('change', (e) => {
             this.game.updateSettings({ dealerHoleCard: e.target.checked });
         });
 
+        // European no hole card
+        this.elements.toggleEnhc?.addEventListener('change', (e) => {
+            this.game.updateSettings({ enhc: e.target.checked });
+            this.updateHoleCardRows();
+        });
+
+        // Dealer peek rules
+        this.elements.toggleDealerPeek?.addEventListener('change', (e) => {
+            this.game.updateSettings({ dealerPeek: e.target.checked });
+        });
+
+        this.elements.settingDealerBjLoses?.addEventListener('change', (e) => {
+            this.game.updateSettings({ dealerBlackjackLoses: e.target.value });
+        });
+
+        // Split rules
+        this.elements.toggleDas?.addEventListener('change', (e) => {
+            this.game.updateSettings({ doubleAfterSplit: e.target.checked });
+        });
+
+        this.elements.toggleResplitAces?.addEventListener('change', (e) => {
+            this.game.updateSettings({ resplitAces: e.target.checked });
+        });
+
+        this.elements.toggleSplitAcesOneCard?.addEventListener('change', (e) => {
+            this.game.updateSettings({ splitAcesOneCard: e.target.checked });
+        });
+
+        this.elements.settingMaxSplitHands?.addEventListener('change', (e) => {
+            this.game.updateSettings({ maxSplitHands: parseInt(e.target.value) });
+        });
+
+        this.elements.settingSplitTens?.addEventListener('change', (e) => {
+            this.game.updateSettings({ splitAnyTen: e.target.value === 'value' });
+        });
+
+        // Surrender mode
+        this.elements.settingSurrenderMode?.addEventListener('change', (e) => {
+            this.game.updateSettings({ surrenderMode: e.target.value });
+            this.updateActionButtons();
+            this.updateHint();
+        });
+
+        // Early surrender modal
+        this.elements.btnEarlySurrender?.addEventListener('click', () => this.handleEarlySurrenderDecision(true));
+        this.elements.btnDeclineSurrender?.addEventListener('click', () => this.handleEarlySurrenderDecision(false));
+
+        // Double rules
+        this.elements.settingDoubleOn?.addEventListener('change', (e) => {
+            this.game.updateSettings({ doubleOn: e.target.value });
+            this.updateActionButtons();
+            this.updateHint();
+        });
+
+        this.elements.toggleDoubleForLess?.addEventListener('change', (e) => {
+            this.game.updateSettings({ doubleForLess: e.target.checked });
+            this.updateActionButtons();
+        });
+
+        // Double for less modal
+        this.elements.btnConfirmDouble?.addEventListener('click', () => this.confirmDoubleForLess());
+        this.elements.btnCancelDouble?.addEventListener('click', () => this.closeDoubleModal());
+        this.elements.doubleAmountInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.confirmDoubleForLess();
+        });
+
         // Keyboard shortcuts modal
         this.elements.btnCloseShortcuts?.addEventListener('click', () => this.closeShortcutsModal());
         this.elements.shortcutsModal?.addEventListener('click', (e) => {
@@ -326,14 +684,111 @@ class BlackjackUI {
         });
 
         // Insurance modal
-        this.elements.btnTakeInsurance?.addEventListener('click', () => {
-            this.closeInsuranceModal();
-            this.game.handleInsuranceDecision(true);
+        this.elements.btnTakeInsurance?.addEventListener('click', () => this.handleInsuranceDecision(true));
+        this.elements.btnDeclineInsurance?.addEventListener('click', () => this.handleInsuranceDecision(false));
+
+        // Simulator modal
+        this.elements.btnSimulator?.addEventListener('click', () => this.openSimulatorModal());
+        this.elements.btnCloseSimulator?.addEventListener('click', () => this.closeSimulatorModal());
+        this.elements.simulatorModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.simulatorModal) this.closeSimulatorModal();
+        });
+        this.elements.btnRunSimulation?.addEventListener('click', () => this.startSimulation());
+        this.elements.btnCancelSimulation?.addEventListener('click', () => this.cancelSimulation());
+
+        // Risk of ruin modal
+        this.elements.btnRisk?.addEventListener('click', () => this.openRiskModal());
+        this.elements.btnCloseRisk?.addEventListener('click', () => this.closeRiskModal());
+        this.elements.riskModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.riskModal) this.closeRiskModal();
+        });
+        this.elements.riskModal?.addEventListener('input', () => this.handleRiskInput());
+        this.elements.riskSource?.addEventListener('change', () => this.handleRiskInput());
+
+        // Counting system editor
+        this.elements.btnEditSystems?.addEventListener('click', () => this.openSystemsModal());
+        this.elements.btnCloseSystems?.addEventListener('click', () => this.closeSystemsModal());
+        this.elements.systemsModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.systemsModal) this.closeSystemsModal();
+        });
+        this.elements.systemEditorSelect?.addEventListener('change', (e) => this.loadSystemEditor(e.target.value));
+        this.elements.systemEditorBalanced?.addEventListener('change', () => this.updateSystemEditorStatus());
+        this.elements.systemEditorTags?.addEventListener('input', () => this.updateSystemEditorStatus());
+        this.elements.btnSaveSystem?.addEventListener('click', () => this.saveCountingSystem());
+        this.elements.btnDeleteSystem?.addEventListener('click', () => this.deleteCountingSystem());
+        this.elements.btnExportSystem?.addEventListener('click', () => this.exportCountingSystem());
+        this.elements.btnImportSystem?.addEventListener('click', () => this.importCountingSystems());
+
+        // Deviation index editor
+        this.elements.btnEditIndices?.addEventListener('click', () => this.openIndicesModal());
+        this.elements.btnCloseIndices?.addEventListener('click', () => this.closeIndicesModal());
+        this.elements.indicesModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.indicesModal) this.closeIndicesModal();
+        });
+        this.elements.indicesSystem?.addEventListener('change', () => this.renderIndexList());
+        this.elements.indicesRules?.addEventListener('change', () => this.renderIndexList());
+        this.elements.indexHandType?.addEventListener('change', () => this.updateIndexForm());
+        this.elements.indexList?.addEventListener('change', (e) => {
+            if (e.target.dataset.indexKey !== undefined) this.changeIndexThreshold(e.target);
+        });
+        this.elements.indexList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-index]');
+            if (button) this.removeIndex(button.dataset.category, button.dataset.removeIndex);
+        });
+        this.elements.btnAddIndex?.addEventListener('click', () => this.addIndex());
+        this.elements.btnResetIndices?.addEventListener('click', () => this.resetIndexSet());
+
+        // Training modal
+        this.elements.btnTraining?.addEventListener('click', () => this.openTrainingModal());
+        this.elements.btnCloseTraining?.addEventListener('click', () => this.closeTrainingModal());
+        this.elements.trainingModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.trainingModal) this.closeTrainingModal();
         });
+        this.elements.trainingDrill?.addEventListener('change', (e) => this.showDrillPanel(e.target.value));
 
-        this.elements.btnDeclineInsurance?.addEventListener('click', () => {
-            this.closeInsuranceModal();
-            this.game.handleInsuranceDecision(false);
+        this.elements.flashcardFocus?.addEventListener('change', () => this.openFlashcards());
+        this.elements.flashcardButtons?.forEach(button => {
+            button.addEventListener('click', () => this.answerFlashcard(button.dataset.flashcardAction));
+        });
+
+        this.elements.quizButtons?.forEach(button => {
+            button.addEventListener('click', () => this.answerDeviationQuiz(button.dataset.quizAction));
+        });
+        this.elements.btnQuizNext?.addEventListener('click', () => this.nextDeviationQuestion());
+
+        // Count checkpoint modal
+        this.elements.btnSkipCheckpoint?.addEventListener('click', () => this.closeCheckpointModal());
+        this.elements.btnSubmitCheckpoint?.addEventListener('click', () => this.submitCheckpoint());
+        [this.elements.checkpointRunning, this.elements.checkpointTrue].forEach(input => {
+            input?.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.submitCheckpoint();
+            });
+        });
+        this.elements.btnDeckDrillStart?.addEventListener('click', () => this.startDeckDrill());
+        this.elements.btnDeckDrillStop?.addEventListener('click', () => this.stopDeckDrill());
+        this.elements.btnDeckDrillSubmit?.addEventListener('click', () => this.submitDeckDrill());
+        this.elements.deckDrillAnswer?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.submitDeckDrill();
+        });
+        this.elements.tcDrillVisual?.addEventListener('change', () => this.renderTrueCountGraphic());
+        this.elements.btnTcDrillNext?.addEventListener('click', () => this.nextTrueCountQuestion());
+        this.elements.btnTcDrillSubmit?.addEventListener('click', () => this.submitTrueCountDrill());
+        this.elements.tcDrillAnswer?.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            if (this.tcDrillAnswered) this.nextTrueCountQuestion();
+            else this.submitTrueCountDrill();
+        });
+
+        // Hand history modal
+        this.elements.btnHistory?.addEventListener('click', () => this.openHistoryModal());
+        this.elements.btnCloseHistory?.addEventListener('click', () => this.closeHistoryModal());
+        this.elements.historyModal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.historyModal) this.closeHistoryModal();
+        });
+        this.elements.btnClearHistory?.addEventListener('click', () => {
+            this.game.clearHistory();
+            this.renderHistory();
+            this.showToast('History cleared');
         });
 
         // Add Money modal
@@ -382,7 +837,15 @@ class BlackjackUI {
             if (e.key === 'Escape') {
                 this.closeSettings();
                 this.closeAddMoneyModal();
+                this.closeHistoryModal();
+                this.closeSimulatorModal();
+                this.closeRiskModal();
+                this.closeSystemsModal();
+                this.closeIndicesModal();
+                this.closeTrainingModal();
+                this.closeCheckpointModal();
                 this.closeInsuranceModal();
+                this.closeDoubleModal();
             }
         });
     }
@@ -400,7 +863,7 @@ class BlackjackUI {
 
     doubleBet() {
         if (this.game.state !== GameState.BETTING) return;
-        const doubled = Math.min(this.getCurrentBet() * 2, this.game.balance, this.game.settings.maxBet);
+        const doubled = Math.min(this.getCurrentBet() * 2, this.getMaxSpotBet());
         this.placedChips = this.convertAmountToChips(doubled);
         this.setBet(doubled);
         this.renderChipStacks();
@@ -409,7 +872,7 @@ class BlackjackUI {
 
     maxBet() {
         if (this.game.state !== GameState.BETTING) return;
-        const amount = Math.min(this.game.balance, this.game.settings.maxBet);
+        const amount = this.getMaxSpotBet();
         this.placedChips = this.convertAmountToChips(amount);
         this.setBet(amount);
         this.renderChipStacks();
@@ -418,7 +881,7 @@ class BlackjackUI {
 
     rebet() {
         if (this.game.state !== GameState.BETTING) return;
-        if (this.lastBet > 0 && this.lastBet <= this.game.balance) {
+        if (this.lastBet > 0 && this.lastBet <= this.getMaxSpotBet()) {
             this.placedChips = this.convertAmountToChips(this.lastBet);
             this.setBet(this.lastBet);
             this.renderChipStacks();
@@ -426,6 +889,14 @@ class BlackjackUI {
         }
     }
 
+    /**
+     * Largest bet per spot the balance can cover on every spot
+     */
+    getMaxSpotBet() {
+        const spots = this.game.getSpotCount();
+        return Math.min(Math.floor(this.game.balance / spots), this.game.settings.maxBet);
+    }
+
     // Helper to convert an amount to chip array
     convertAmountToChips(amount) {
         const chips = [];
@@ -454,6 +925,13 @@ class BlackjackUI {
             this.elements.mobileBetValue.textContent = this.formatCurrency(amount);
         }
 
+        // Show the spot multiplier when playing more than one spot
+        const betLabel = this.elements.betIndicator?.querySelector('.bet-indicator-label');
+        if (betLabel) {
+            const spots = this.game.getSpotCount();
+            betLabel.textContent = spots > 1 ? `BET × ${spots}` : 'BET';
+        }
+
         // Toggle has-bet class for CSS visibility of betting prompt
         if (this.elements.gameContainer) {
             this.elements.gameContainer.classList.toggle('has-bet', amount > 0);
@@ -461,6 +939,7 @@ class BlackjackUI {
 
         this.updateChipStack(amount);
         this.updateActionButtons();
+        this.updateBetAdvice();
     }
 
     formatCurrency(amount) {
@@ -482,7 +961,7 @@ class BlackjackUI {
 
     addToBet(amount) {
         if (this.game.state !== GameState.BETTING) return;
-        this.setBet(Math.min(this.getCurrentBet() + amount, this.game.balance, this.game.settings.maxBet));
+        this.setBet(Math.min(this.getCurrentBet() + amount, this.getMaxSpotBet()));
     }
 
     removeFromBet(amount) {
@@ -501,7 +980,7 @@ class BlackjackUI {
     addChipToBet(value) {
         if (this.game.state !== GameState.BETTING) return;
         const currentBet = this.getCurrentBet();
-        const newBet = Math.min(currentBet + value, this.game.balance, this.game.settings.maxBet);
+        const newBet = Math.min(currentBet + value, this.getMaxSpotBet());
 
         if (newBet > currentBet) {
             this.placedChips.push(value);
@@ -616,11 +1095,48 @@ class BlackjackUI {
 
     async handleDouble() {
         if (!this.game.canDouble()) return;
+
+        // Doubling for less asks for the amount first
+        if (this.game.settings.doubleForLess) {
+            this.openDoubleModal();
+            return;
+        }
+
         this.playSound('chip');
         await this.game.double();
         this.updateShoeInfo();
     }
 
+    openDoubleModal() {
+        const max = this.game.getMaxDoubleAmount();
+        if (this.elements.doubleMax) this.elements.doubleMax.textContent = `$${max.toLocaleString()}`;
+        if (this.elements.doubleAmountInput) {
+            this.elements.doubleAmountInput.max = max;
+            this.elements.doubleAmountInput.value = max;
+        }
+        this.elements.doubleModal?.classList.add('visible');
+        setTimeout(() => this.elements.doubleAmountInput?.select(), 100);
+    }
+
+    closeDoubleModal() {
+        this.elements.doubleModal?.classList.remove('visible');
+    }
+
+    async confirmDoubleForLess() {
+        const amount = parseInt(this.elements.doubleAmountInput?.value);
+        const max = this.game.getMaxDoubleAmount();
+        if (isNaN(amount) || amount <= 0 || amount > max) {
+            this.showToast(`Enter an amount from $1 to $${max.toLocaleString()}`, 'error');
+            return;
+        }
+
+        this.closeDoubleModal();
+        if (!this.game.canDouble()) return;
+        this.playSound('chip');
+        await this.game.double(amount);
+        this.updateShoeInfo();
+    }
+
     async handleSplit() {
         if (!this.game.canSplit()) return;
         this.playSound('chip');
@@ -777,6 +1293,7 @@ class BlackjackUI {
         this.hideResult();
         this.game.newRound();
         this.clearCards();
+        this.checkCountCheckpoint();
         this.placedChips = [];
         this.setBet(0);
         this.renderChipStacks();
@@ -785,7 +1302,7 @@ class BlackjackUI {
         if (this.elements.playerValue) this.elements.playerValue.textContent = '-';
 
         // Auto-bet: automatically place last bet if enabled
-        if (this.autoBetEnabled && this.lastBet > 0 && this.lastBet <= this.game.balance) {
+        if (this.autoBetEnabled && this.lastBet > 0 && this.lastBet <= this.getMaxSpotBet()) {
             setTimeout(() => {
                 this.placedChips = this.convertAmountToChips(this.lastBet);
                 this.setBet(this.lastBet);
@@ -796,6 +1313,7 @@ class BlackjackUI {
 
     // === Rendering ===
     clearCards() {
+        this.handResults = [];
         if (this.elements.dealerCards) this.elements.dealerCards.innerHTML = '';
         if (this.elements.playerCards) this.elements.playerCards.innerHTML = '';
         if (this.elements.playerHandsContainer) {
@@ -847,7 +1365,7 @@ class BlackjackUI {
     async handleCardDealt(card, hand, isReveal = false) {
         return new Promise(resolve => {
             const isDealer = hand === this.game.dealerHand;
-            const container = isDealer ? this.elements.dealerCards : this.elements.playerCards;
+            const container = isDealer ? this.elements.dealerCards : this.getHandCardsArea(hand);
 
             if (!container) { resolve(); return; }
 
@@ -881,8 +1399,24 @@ class BlackjackUI {
         });
     }
 
+    /**
+     * Cards container for a player hand; multi-hand layouts get one wrapper per hand
+     */
+    getHandCardsArea(hand) {
+        if (this.game.playerHands.length <= 1) return this.elements.playerCards;
+        return this.getHandWrapper(hand)?.querySelector('.cards-area') || null;
+    }
+
+    getHandWrapper(hand) {
+        const index = this.game.playerHands.indexOf(hand);
+        if (index === -1 || !this.elements.playerHandsContainer) return null;
+        return this.elements.playerHandsContainer.querySelector(`[data-hand-index="${index}"]`);
+    }
+
     updateHandValue(hand, isDealer) {
-        const valueEl = isDealer ? this.elements.dealerValue : this.elements.playerValue;
+        const valueEl = isDealer ? this.elements.dealerValue :
+            this.game.playerHands.length > 1 ? this.getHandWrapper(hand)?.querySelector('.hand-badge') :
+                this.elements.playerValue;
         if (!valueEl) return;
 
         if (isDealer && this.game.state === GameState.PLAYER_TURN) {
@@ -903,16 +1437,27 @@ class BlackjackUI {
 
         this.elements.playerHandsContainer.innerHTML = '';
 
+        const multiSpot = this.game.playerHands.some(h => h.spot > 0);
+        const isPlaying = this.game.state === GameState.PLAYER_TURN;
+
         this.game.playerHands.forEach((hand, i) => {
-            const isActive = i === this.game.currentHandIndex;
+            const isActive = !isPlaying || i === this.game.currentHandIndex;
             const handWrapper = document.createElement('div');
             handWrapper.className = `hand-wrapper split-hand ${isActive ? 'active-hand' : 'inactive-hand'}`;
+            handWrapper.dataset.handIndex = i;
             handWrapper.setAttribute('role', 'region');
-            handWrapper.setAttribute('aria-label', `Hand ${i + 1}`);
+
+            // Label by spot when several spots are in play, split hands share their spot's number
+            const spotHands = this.game.playerHands.filter(h => h.spot === hand.spot);
+            let labelText = multiSpot ? `Spot ${hand.spot + 1}` : `Hand ${i + 1}`;
+            if (multiSpot && spotHands.length > 1) {
+                labelText += String.fromCharCode(97 + spotHands.indexOf(hand));
+            }
+            handWrapper.setAttribute('aria-label', labelText);
 
             const label = document.createElement('div');
             label.className = 'split-hand-label';
-            label.textContent = `Hand ${i + 1}`;
+            label.textContent = labelText;
             handWrapper.appendChild(label);
 
             const handBadge = document.createElement('div');
@@ -925,10 +1470,22 @@ class BlackjackUI {
             cardsArea.className = 'cards-area';
             cardsArea.setAttribute('role', 'list');
             hand.cards.forEach(card => {
-                cardsArea.appendChild(this.createCardElement(card, true));
+                // Cards already on the table are redrawn in place, without the deal animation
+                const cardEl = this.createCardElement(card, true);
+                cardEl.classList.remove('dealing');
+                cardEl.style.opacity = '';
+                cardsArea.appendChild(cardEl);
             });
             handWrapper.appendChild(cardsArea);
 
+            const handResult = this.handResults.find(r => r.index === i);
+            if (handResult) {
+                const tag = document.createElement('div');
+                tag.className = `hand-result ${handResult.result}`;
+                tag.textContent = `${handResult.amount >= 0 ? '+' : '-'}$${Math.abs(handResult.amount).toLocaleString()}`;
+                handWrapper.appendChild(tag);
+            }
+
             this.elements.playerHandsContainer.appendChild(handWrapper);
         });
     }
@@ -945,6 +1502,7 @@ class BlackjackUI {
             [GameState.DEALING]: 'playing',
             [GameState.PLAYER_TURN]: 'playing',
             [GameState.DEALER_TURN]: 'playing',
+            [GameState.EARLY_SURRENDER]: 'playing',
             [GameState.INSURANCE]: 'playing',
             [GameState.PAYOUT]: 'result',
             [GameState.GAME_OVER]: 'result'
@@ -957,6 +1515,7 @@ class BlackjackUI {
 
         this.updateActionButtons();
         this.updateHint();
+        this.updateBetAdvice();
         this.updateMobileBar(state);
 
         if (state === GameState.DEALER_TURN) {
@@ -1050,6 +1609,9 @@ class BlackjackUI {
 
         // Animate number counting
         this.animateValue(balanceEl, parseInt(balanceEl.textContent.replace(/,/g, '')) || 0, balance, 300);
+
+        this.updateRiskStat();
+        this.updateBetAdvice();
     }
 
     animateValue(element, start, end, duration) {
@@ -1081,12 +1643,27 @@ class BlackjackUI {
 
     updateCardCount(runningCount, trueCount) {
         if (!this.countingEnabled) return;
+        if (this.isCountHidden()) {
+            this.hideCardCount();
+            return;
+        }
+
+        // Unbalanced systems read the running count against the key count
+        const keyCount = this.game.deck.getKeyCount();
+        const rcLevel = keyCount === null ? runningCount : runningCount - keyCount;
 
         if (this.elements.runningCount) {
             this.elements.runningCount.textContent = runningCount >= 0 ? `+${runningCount}` : runningCount;
             this.elements.runningCount.className = 'count-value ' +
-                (runningCount > 0 ? 'positive' : runningCount < 0 ? 'negative' : '');
+                (rcLevel > 0 ? 'positive' : rcLevel < 0 ? 'negative' : '');
+        }
+        if (this.elements.keyCountItem) {
+            this.elements.keyCountItem.style.display = keyCount === null ? 'none' : '';
         }
+        if (this.elements.keyCount && keyCount !== null) {
+            this.elements.keyCount.textContent = keyCount >= 0 ? `+${keyCount}` : keyCount;
+        }
+        this.renderSideCounts();
         if (this.elements.trueCount) {
             this.elements.trueCount.textContent = trueCount >= 0 ? `+${trueCount}` : trueCount;
             this.elements.trueCount.className = 'count-value ' +
@@ -1094,10 +1671,27 @@ class BlackjackUI {
         }
     }
 
+    // Hidden count mode keeps the count out of the display, the bet advisor and the hints
+    isCountHidden() {
+        return this.countingEnabled && this.countCheckpoints !== 'off';
+    }
+
+    // Hidden count mode: values stay blank until a checkpoint reveals them
+    hideCardCount() {
+        [this.elements.runningCount, this.elements.trueCount].forEach(el => {
+            if (!el) return;
+            el.textContent = '?';
+            el.className = 'count-value';
+        });
+        if (this.elements.keyCountItem) this.elements.keyCountItem.style.display = 'none';
+        if (this.elements.sideCounts) this.elements.sideCounts.innerHTML = '';
+    }
+
     updateCountDisplay() {
         if (this.elements.countDisplay) {
             this.elements.countDisplay.style.display = this.countingEnabled ? 'flex' : 'none';
         }
+        this.updateCardCount(this.game.deck.getRunningCount(), this.game.deck.getTrueCount());
         // Show penetration bar only when counting or strategy hints are enabled
         if (this.elements.penetrationBar) {
             const showPenetration = this.countingEnabled || this.hintsEnabled;
@@ -1105,6 +1699,44 @@ class BlackjackUI {
         }
     }
 
+    /**
+     * Surplus of each side-counted rank left in the shoe, next to the main count
+     */
+    renderSideCounts() {
+        const container = this.elements.sideCounts;
+        if (!container) return;
+
+        const labels = { 'A': 'Aces', '7': 'Sevens', '5': 'Fives' };
+        container.innerHTML = (this.game.settings.sideCounts || []).map(rank => {
+            const { seen, remaining, surplus } = this.game.deck.getSideCount(rank);
+            const rounded = Math.round(surplus);
+            const level = rounded > 0 ? 'positive' : rounded < 0 ? 'negative' : '';
+            return `<div class="count-item" title="${labels[rank]}: ${seen} seen, ${remaining} left">` +
+                `<span class="count-label">${rank}</span>` +
+                `<span class="count-value ${level}">${rounded > 0 ? '+' : ''}${rounded}</span></div>`;
+        }).join('');
+    }
+
+    /**
+     * Balanced flag, IRC, key and pivot counts of the selected system for this shoe
+     */
+    updateCountSystemInfo() {
+        const el = this.elements.countSystemInfo;
+        const deck = this.game.deck;
+        if (!el || !deck.system) return;
+
+        const signed = (n) => n > 0 ? `+${n}` : `${n}`;
+        const irc = getInitialRunningCount(deck.system, deck.deckCount);
+        const keyCount = deck.getKeyCount();
+        const parts = [
+            deck.system.balanced ? 'Balanced' : 'Unbalanced',
+            `IRC ${signed(irc)}`,
+            keyCount === null ? null : `key ${signed(keyCount)}`,
+            `pivot ${signed(deck.system.pivot || 0)}`
+        ];
+        el.textContent = parts.filter(Boolean).join(' · ');
+    }
+
     updateStats() {
         const stats = this.game.stats;
 
@@ -1128,8 +1760,8 @@ class BlackjackUI {
         if (this.elements.statsBiggest) this.elements.statsBiggest.textContent = `$${this.biggestWin.toLocaleString()}`;
     }
 
-    handleResult(result, amount) {
-        if (result === ResultType.WIN || result === ResultType.BLACKJACK) {
+    handleResult(result, amount, handResults = []) {
+        if (result === ResultType.WIN || result === ResultType.BLACKJACK || result === ResultType.EVEN_MONEY) {
             this.winStreak++;
             if (amount > this.biggestWin) this.biggestWin = amount;
         } else if (result === ResultType.LOSE) {
@@ -1144,7 +1776,8 @@ class BlackjackUI {
             [ResultType.WIN]: { text: 'YOU WIN!', className: 'win', cardClass: 'win-card', icon: '<i class="fa-solid fa-trophy"></i>', sound: 'win', badgeAnim: 'win-pulse' },
             [ResultType.LOSE]: { text: 'DEALER WINS', className: 'lose', cardClass: 'lose-card', icon: '<i class="fa-solid fa-face-sad-tear"></i>', sound: 'lose', badgeAnim: 'bust-shake' },
             [ResultType.PUSH]: { text: 'PUSH', className: 'push', cardClass: 'push-card', icon: '<i class="fa-solid fa-handshake"></i>', sound: 'push', badgeAnim: '' },
-            [ResultType.SURRENDER]: { text: 'SURRENDER', className: 'push', cardClass: 'push-card', icon: '<i class="fa-solid fa-flag"></i>', sound: 'lose', badgeAnim: '' }
+            [ResultType.SURRENDER]: { text: 'SURRENDER', className: 'push', cardClass: 'push-card', icon: '<i class="fa-solid fa-flag"></i>', sound: 'lose', badgeAnim: '' },
+            [ResultType.EVEN_MONEY]: { text: 'EVEN MONEY', className: 'win', cardClass: 'win-card', icon: '<i class="fa-solid fa-scale-balanced"></i>', sound: 'win', badgeAnim: 'win-pulse' }
         };
 
         const data = resultData[result] || { text: '', className: '', cardClass: '', icon: '', sound: '', badgeAnim: '' };
@@ -1170,6 +1803,10 @@ class BlackjackUI {
             this.elements.playerValue.classList.add(data.badgeAnim);
         }
 
+        // Tag each hand with its own outcome when several were played
+        this.handResults = handResults;
+        this.renderPlayerHands();
+
         // Play appropriate sound
         if (data.sound) this.playSound(data.sound);
 
@@ -1207,17 +1844,19 @@ class BlackjackUI {
     }
 
     updateHint() {
+        this.updateEvReadout();
+
         if (!this.hintsEnabled || this.game.state !== GameState.PLAYER_TURN) {
             if (this.elements.hintContainer) this.elements.hintContainer.style.display = 'none';
             return;
         }
 
-        const hint = this.game.getStrategyHint();
+        const hint = this.game.getStrategyHint(!this.isCountHidden());
         if (hint && this.elements.hintText) {
             // Check for deviation from basic strategy when counting is enabled
             const deviationInfo = this.game.getDeviationInfo();
 
-            if (deviationInfo.isDeviation && this.countingEnabled) {
+            if (deviationInfo.isDeviation && this.countingEnabled && !this.isCountHidden()) {
                 // Show deviation hint with special styling
                 this.elements.hintText.textContent = `${hint} (${deviationInfo.reason})`;
                 this.elements.hintContainer?.classList.add('deviation');
@@ -1230,20 +1869,195 @@ class BlackjackUI {
         }
     }
 
+    /**
+     * List each legal action with its EV for the current hand and what choosing it costs
+     */
+    updateEvReadout() {
+        const readout = this.elements.evReadout;
+        if (!readout) return;
+
+        // EVs from the shoe give the count away while it is hidden
+        const result = this.evReadoutEnabled && !this.isCountHidden() ? this.game.getShoeActionEVs() : null;
+        if (!result || !result.best) {
+            readout.style.display = 'none';
+            return;
+        }
+
+        const { evs, best, totalDependent } = result;
+        const bet = this.game.currentHand.bet;
+        const formatMoney = (value) => `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(2)}`;
+
+        const rows = Object.keys(evs)
+            .sort((a, b) => evs[b] - evs[a])
+            .map(action => {
+                const ev = evs[action];
+                const cost = (evs[best] - ev) * bet;
+                const costText = action === best ? 'best' : `costs $${cost.toFixed(2)}`;
+                return `<div class="ev-row${action === best ? ' best' : ''}">` +
+                    `<span class="ev-action">${action}</span>` +
+                    `<span class="ev-value">${(ev * 100).toFixed(1)}% (${formatMoney(ev * bet)})</span>` +
+                    `<span class="ev-cost">${costText}</span></div>`;
+            });
+
+        // The cards left can make a different play right than the total-dependent chart
+        if (totalDependent !== best && evs[totalDependent] !== undefined) {
+            rows.push(`<div class="ev-note">Composition play: ${best} beats the ${totalDependent} of total-dependent basic strategy</div>`);
+        }
+
+        readout.innerHTML = rows.join('');
+        readout.style.display = '';
+    }
+
     // === Insurance ===
-    showInsurancePrompt(cost) {
+    showInsurancePrompt(cost, evenMoneyCount = 0) {
+        const evenMoneyOnly = evenMoneyCount > 0 && cost === 0;
+        this.insuranceEvenMoneyOnly = evenMoneyOnly;
+
+        if (this.elements.insuranceTitle) {
+            this.elements.insuranceTitle.textContent = evenMoneyOnly ? 'Even Money?' : 'Insurance?';
+        }
+        if (this.elements.insuranceDesc) {
+            let desc = 'Dealer is showing an Ace. Would you like to take insurance?';
+            if (evenMoneyOnly) {
+                desc = 'You have blackjack against an Ace. Take a guaranteed 1:1 payout now?';
+            } else if (evenMoneyCount > 0) {
+                desc = `Dealer is showing an Ace. Taking insurance also pays even money on your ${evenMoneyCount === 1 ? 'blackjack' : `${evenMoneyCount} blackjacks`}.`;
+            }
+            this.elements.insuranceDesc.textContent = desc;
+        }
         if (this.elements.insuranceCost) {
             this.elements.insuranceCost.textContent = `$${cost.toLocaleString()}`;
         }
+        if (this.elements.insuranceCostRow) {
+            this.elements.insuranceCostRow.style.display = evenMoneyOnly ? 'none' : '';
+        }
+        if (this.elements.insuranceNote) {
+            this.elements.insuranceNote.textContent = evenMoneyOnly ?
+                `Declining pays ${this.formatPayout(this.game.settings.blackjackPays)} unless the dealer has blackjack` :
+                'Pays 2:1 if dealer has blackjack';
+        }
+        if (this.elements.insuranceAcceptLabel) {
+            this.elements.insuranceAcceptLabel.textContent = evenMoneyOnly ? 'Take Even Money' : 'Take Insurance';
+        }
+        this.updateInsuranceHint(evenMoneyOnly);
+
+        if (this.elements.insuranceEv) {
+            const ev = this.evReadoutEnabled && !this.isCountHidden() ? this.game.getInsuranceEV() : null;
+            if (ev !== null) {
+                this.elements.insuranceEv.textContent =
+                    `Insurance EV: ${ev >= 0 ? '+' : ''}${(ev * 100).toFixed(1)}% of each bet`;
+            }
+            this.elements.insuranceEv.style.display = ev !== null ? '' : 'none';
+        }
+
         this.elements.insuranceModal?.classList.add('visible');
     }
 
+    updateInsuranceHint(evenMoneyOnly) {
+        const hintEl = this.elements.insuranceHint;
+        if (!hintEl) return;
+
+        const hint = this.hintsEnabled ? this.game.getInsuranceHint() : null;
+        if (!hint) {
+            hintEl.style.display = 'none';
+            return;
+        }
+
+        const bet = evenMoneyOnly ? 'even money' : 'insurance';
+        const signed = (n) => `${n > 0 ? '+' : ''}${n}`;
+        let text = `Basic strategy: decline ${bet}`;
+        if (hint.trueCount !== null && !this.isCountHidden()) {
+            text += hint.take ?
+                ` · TC ${signed(hint.trueCount)}: take ${bet} (index ${signed(hint.threshold)})` :
+                ` · TC ${signed(hint.trueCount)}: decline ${bet} (take at ${signed(hint.threshold)})`;
+        }
+        hintEl.textContent = text;
+        hintEl.style.display = '';
+    }
+
+    handleInsuranceDecision(take) {
+        if (this.wrongPlayFeedback && this.hintsEnabled) {
+            const hint = this.game.getInsuranceHint();
+            if (hint && hint.take !== take) {
+                // Same wording as the hint: the prompt may only be offering even money
+                const bet = this.insuranceEvenMoneyOnly ? 'EVEN MONEY' : 'INSURANCE';
+                this.showWrongPlayFeedback(
+                    take ? 'INSURANCE' : 'NO_INSURANCE',
+                    `${hint.take ? 'TAKE' : 'DECLINE'} ${bet}`
+                );
+            }
+        }
+
+        this.closeInsuranceModal();
+        this.game.handleInsuranceDecision(take);
+    }
+
+    formatPayout(pays) {
+        if (pays === 1.5) return '3:2';
+        if (pays === 1.2) return '6:5';
+        if (pays === 1) return '1:1';
+        return `${pays}:1`;
+    }
+
     closeInsuranceModal() {
         this.elements.insuranceModal?.classList.remove('visible');
     }
 
+    // === Early Surrender ===
+    showEarlySurrenderPrompt(hand, index) {
+        const upCard = this.game.dealerHand.cards[0];
+        const handName = this.game.playerHands.length > 1 ? `Spot ${hand.spot + 1}` : 'your hand';
+
+        if (this.elements.surrenderDesc) {
+            this.elements.surrenderDesc.textContent =
+                `Dealer shows ${upCard.rank}. Surrender ${handName} (${hand.getValue()}) before the dealer checks for blackjack?`;
+        }
+        if (this.elements.surrenderReturn) {
+            this.elements.surrenderReturn.textContent = `$${(hand.bet / 2).toLocaleString()}`;
+        }
+        if (this.elements.surrenderHint) {
+            const hint = this.game.getEarlySurrenderHint();
+            this.elements.surrenderHint.textContent = `Basic strategy: ${hint === 'SURRENDER' ? 'Surrender' : 'Play on'}`;
+            this.elements.surrenderHint.style.display = this.hintsEnabled && hint ? '' : 'none';
+        }
+
+        this.elements.surrenderModal?.classList.add('visible');
+    }
+
+    closeEarlySurrenderModal() {
+        this.elements.surrenderModal?.classList.remove('visible');
+    }
+
+    handleEarlySurrenderDecision(surrender) {
+        if (this.wrongPlayFeedback && this.hintsEnabled) {
+            const correct = this.game.getEarlySurrenderHint();
+            if (correct && (correct === 'SURRENDER') !== surrender) {
+                this.showToast(`Optimal: ${correct === 'SURRENDER' ? 'SURRENDER' : 'PLAY ON'}`, 'error');
+            }
+        }
+
+        this.closeEarlySurrenderModal();
+        this.game.handleEarlySurrenderDecision(surrender);
+    }
+
+    /**
+     * Hole card and peek toggles do nothing under ENHC, where the dealer has no hole card
+     */
+    updateHoleCardRows() {
+        const enhc = !!this.game.settings.enhc;
+        [this.elements.toggleHoleCard, this.elements.toggleDealerPeek].forEach(toggle => {
+            if (!toggle) return;
+            toggle.disabled = enhc;
+            const row = toggle.closest('.setting-row');
+            if (row) row.style.opacity = enhc ? '0.5' : '';
+        });
+    }
+
     // === Modals ===
-    openSettings() { this.elements.settingsModal?.classList.add('visible'); }
+    openSettings() {
+        this.updateHouseEdge();
+        this.elements.settingsModal?.classList.add('visible');
+    }
     closeSettings() { this.elements.settingsModal?.classList.remove('visible'); }
 
     // Keyboard shortcuts modal
@@ -1362,7 +2176,10 @@ class BlackjackUI {
     }
 
     handleKeyboard(e) {
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+        // Drills take over the keyboard
+        if (this.elements.trainingModal?.classList.contains('visible')) return;
+        if (this.elements.checkpointModal?.classList.contains('visible')) return;
 
         // Show shortcuts modal with ? key
         if (e.key === '?' || (e.shiftKey && e.key === '/')) {
@@ -1404,88 +2221,1527 @@ class BlackjackUI {
         }
     }
 
-    // === Persistence ===
-    saveUIPreferences() {
-        try {
-            const prefs = {
-                soundEnabled: this.soundEnabled,
-                hintsEnabled: this.hintsEnabled,
-                countingEnabled: this.countingEnabled,
-                autoBetEnabled: this.autoBetEnabled,
-                wrongPlayFeedback: this.wrongPlayFeedback,
-                lastBet: this.lastBet,
-                winStreak: this.winStreak,
-                biggestWin: this.biggestWin
-            };
-            localStorage.setItem('blackjack_ui_prefs', JSON.stringify(prefs));
-        } catch (e) { }
-    }
+    // === House Edge ===
+    updateHouseEdge() {
+        if (typeof calculateHouseEdge !== 'function') return;
 
-    loadUIPreferences() {
-        try {
-            const saved = localStorage.getItem('blackjack_ui_prefs');
-            if (saved) {
-                const prefs = JSON.parse(saved);
-                this.soundEnabled = prefs.soundEnabled ?? true;
-                this.hintsEnabled = prefs.hintsEnabled ?? false;
-                this.countingEnabled = prefs.countingEnabled ?? false;
-                this.autoBetEnabled = prefs.autoBetEnabled ?? false;
-                this.wrongPlayFeedback = prefs.wrongPlayFeedback ?? false;
-                this.lastBet = prefs.lastBet ?? 0;
-                this.winStreak = prefs.winStreak ?? 0;
-                this.biggestWin = prefs.biggestWin ?? 0;
-            }
-        } catch (e) { }
-    }
+        const settings = this.game.settings;
+        const { edge, breakdown } = calculateHouseEdge(settings);
+        const bet = this.getCurrentBet() || this.lastBet || settings.minBet;
+        const { handsPerHour, lossPerHour } =
+            estimateHourlyLoss(settings, this.game.deck.penetration, this.game.getSpotCount(), bet);
 
-    loadSettingsUI() {
-        if (this.elements.toggleSound) {
-            this.elements.toggleSound.checked = this.soundEnabled;
-        }
-        if (this.elements.toggleHints) {
-            this.elements.toggleHints.checked = this.hintsEnabled;
+        if (this.elements.houseEdgeValue) {
+            this.elements.houseEdgeValue.textContent = edge >= 0 ?
+                `${edge.toFixed(2)}% house` : `${Math.abs(edge).toFixed(2)}% player`;
+            this.elements.houseEdgeValue.classList.toggle('player-edge', edge < 0);
         }
-        if (this.elements.toggleCounting) {
-            this.elements.toggleCounting.checked = this.countingEnabled;
-            this.game.updateSettings({ countingEnabled: this.countingEnabled });
+        if (this.elements.houseEdgeLoss) {
+            const loss = Math.round(Math.abs(lossPerHour)).toLocaleString();
+            this.elements.houseEdgeLoss.textContent =
+                `${lossPerHour >= 0 ? '-' : '+'}$${loss} / hour at $${bet.toLocaleString()} (${Math.round(handsPerHour)} hands)`;
         }
-        if (this.elements.countingSystemGroup) {
-            this.elements.countingSystemGroup.style.display = this.countingEnabled ? 'flex' : 'none';
+        if (this.elements.houseEdgeBreakdown) {
+            this.elements.houseEdgeBreakdown.innerHTML = breakdown.map(item =>
+                `<li><span>${item.label}</span><span>${item.delta > 0 ? '+' : ''}${item.delta.toFixed(2)}%</span></li>`
+            ).join('');
         }
-        if (this.elements.toggleInsurance) {
-            this.elements.toggleInsurance.checked = !!this.game.settings.insuranceAllowed;
+    }
+
+    // === Counting Systems ===
+    getCountSystemName(id) {
+        return COUNTING_SYSTEMS[id]?.name || id;
+    }
+
+    /**
+     * Fill a select with the built-in and saved counting systems
+     */
+    fillCountSystemOptions(select) {
+        select.innerHTML = '';
+
+        const builtIn = document.createElement('optgroup');
+        builtIn.label = 'Built-in';
+        const saved = document.createElement('optgroup');
+        saved.label = 'Saved';
+
+        for (const id of Object.keys(COUNTING_SYSTEMS)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = COUNTING_SYSTEMS[id].name;
+            (this.countSystemManager?.isCustom(id) ? saved : builtIn).appendChild(option);
         }
-        if (this.elements.settingDealerH17) {
-            this.elements.settingDealerH17.checked = !!this.game.settings.dealerHitsSoft17;
+
+        select.appendChild(builtIn);
+        if (saved.children.length > 0) select.appendChild(saved);
+    }
+
+    renderCountSystemOptions() {
+        const select = this.elements.settingCountSystem;
+        if (!select) return;
+        this.fillCountSystemOptions(select);
+        select.value = this.game.settings.countingSystem || 'hi-lo';
+    }
+
+    openSystemsModal() {
+        const tags = this.elements.systemEditorTags;
+        if (tags && tags.children.length === 0) {
+            for (const rank of EDITOR_RANKS) {
+                const label = document.createElement('label');
+                label.className = 'system-tag';
+                label.innerHTML = `<span>${rank === '10' ? '10-K' : rank}</span>` +
+                    `<input type="number" class="setting-select" step="0.5" min="-4" max="4" data-rank="${rank}">`;
+                tags.appendChild(label);
+            }
         }
-        if (this.elements.settingDeckCount) {
-            this.elements.settingDeckCount.value = this.game.settings.deckCount;
+
+        this.renderSystemEditorOptions(this.game.settings.countingSystem || 'hi-lo');
+        this.elements.systemsModal?.classList.add('visible');
+    }
+
+    closeSystemsModal() {
+        this.elements.systemsModal?.classList.remove('visible');
+    }
+
+    renderSystemEditorOptions(selectedId) {
+        const select = this.elements.systemEditorSelect;
+        if (!select) return;
+        this.fillCountSystemOptions(select);
+
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = 'New system';
+        select.insertBefore(newOption, select.firstChild);
+
+        select.value = selectedId;
+        this.loadSystemEditor(selectedId);
+    }
+
+    /**
+     * Show a system's tags in the editor, or a blank balanced system for ''
+     */
+    loadSystemEditor(id) {
+        const system = COUNTING_SYSTEMS[id];
+        if (this.elements.systemEditorName) {
+            this.elements.systemEditorName.value = !system ? '' :
+                this.countSystemManager?.isCustom(id) ? system.name : `${system.name} (copy)`;
         }
-        if (this.elements.settingReshuffleAt && this.game.deck.penetration) {
-            this.elements.settingReshuffleAt.value = Math.round(this.game.deck.penetration * 100);
+        if (this.elements.systemEditorBalanced) {
+            this.elements.systemEditorBalanced.value = String(!system || system.balanced);
         }
-        if (this.elements.settingCountSystem) {
-            this.elements.settingCountSystem.value = this.game.settings.countingSystem || 'hi-lo';
+        if (this.elements.systemEditorPivot) this.elements.systemEditorPivot.value = system?.pivot || 0;
+        this.elements.systemEditorTags?.querySelectorAll('[data-rank]').forEach(input => {
+            input.value = system ? system.tags[input.dataset.rank] : 0;
+        });
+        if (this.elements.btnDeleteSystem) {
+            this.elements.btnDeleteSystem.disabled = !this.countSystemManager?.isCustom(id);
         }
+        this.updateSystemEditorStatus();
+    }
 
-        // Auto-stand on 21
-        if (this.elements.toggleAutostand) {
-            this.elements.toggleAutostand.checked = !!this.game.settings.autoStandOn21;
+    // The editor's system in the JSON format
+    readSystemEditor() {
+        const id = this.elements.systemEditorSelect?.value;
+        const tags = { ...(COUNTING_SYSTEMS[id]?.tags || {}) };
+        this.elements.systemEditorTags?.querySelectorAll('[data-rank]').forEach(input => {
+            tags[input.dataset.rank] = input.value === '' ? NaN : parseFloat(input.value);
+            // J, Q and K follow the ten
+            if (input.dataset.rank === '10') ['J', 'Q', 'K'].forEach(rank => { tags[rank] = tags['10']; });
+        });
+
+        const balanced = this.elements.systemEditorBalanced?.value !== 'false';
+        const definition = { name: this.elements.systemEditorName?.value || '', balanced, tags };
+        if (!balanced) {
+            definition.pivot = parseFloat(this.elements.systemEditorPivot?.value) || 0;
+            if (COUNTING_SYSTEMS[id]?.keyCounts) definition.keyCounts = COUNTING_SYSTEMS[id].keyCounts;
         }
+        return definition;
+    }
 
-        // Auto-bet
-        if (this.elements.toggleAutobet) {
-            this.elements.toggleAutobet.checked = this.autoBetEnabled;
+    updateSystemEditorStatus() {
+        const definition = this.readSystemEditor();
+        if (this.elements.systemEditorPivotRow) {
+            this.elements.systemEditorPivotRow.style.display = definition.balanced ? 'none' : 'flex';
         }
 
-        // Wrong play feedback
+        const status = this.elements.systemEditorStatus;
+        if (!status) return;
+        // A missing name is only reported on save
+        const errors = validateCountingSystem({ ...definition, name: definition.name || 'Unnamed' });
+        if (errors.length > 0) {
+            status.textContent = errors.join('. ');
+        } else {
+            const tagSum = RANKS.reduce((sum, rank) => sum + definition.tags[rank], 0) * SUITS.length;
+            status.textContent = `Tags sum to ${tagSum > 0 ? '+' : ''}${tagSum} per deck`;
+        }
+        status.classList.toggle('error', errors.length > 0);
+    }
+
+    // Refresh everything that reads the counting system after one is saved or removed
+    refreshCountSystems(selectedId) {
+        this.renderCountSystemOptions();
+        this.renderSystemEditorOptions(selectedId);
+        this.updateCountSystemInfo();
+        this.updateIndexSummary();
+        this.updateCountDisplay();
+        this.updateBetAdvice();
+        this.updateRiskStat();
+    }
+
+    saveCountingSystem() {
+        if (!this.countSystemManager) return;
+        const id = this.elements.systemEditorSelect?.value;
+        const result = this.countSystemManager.saveSystem(this.readSystemEditor(), id);
+        if (!result.id) {
+            this.showToast(result.errors[0], 'error');
+            return;
+        }
+
+        this.refreshCountSystems(result.id);
+        this.showToast(`Saved "${COUNTING_SYSTEMS[result.id].name}"`);
+    }
+
+    deleteCountingSystem() {
+        const id = this.elements.systemEditorSelect?.value;
+        if (!this.countSystemManager?.isCustom(id)) return;
+
+        const name = COUNTING_SYSTEMS[id].name;
+        this.countSystemManager.deleteSystem(id);
+        this.refreshCountSystems(this.game.settings.countingSystem || 'hi-lo');
+        this.showToast(`Deleted "${name}"`);
+    }
+
+    exportCountingSystem() {
+        const id = this.elements.systemEditorSelect?.value;
+        const json = this.countSystemManager?.exportSystem(id);
+        if (!json) {
+            this.showToast('Save the system before exporting it', 'error');
+            return;
+        }
+
+        if (this.elements.systemEditorJson) this.elements.systemEditorJson.value = json;
+        navigator.clipboard?.writeText(json).then(
+            () => this.showToast('System JSON copied'),
+            () => { }
+        );
+    }
+
+    importCountingSystems() {
+        const text = this.elements.systemEditorJson?.value.trim();
+        if (!text || !this.countSystemManager) return;
+
+        const { ids, errors } = this.countSystemManager.importSystems(text);
+        if (ids.length > 0) {
+            this.refreshCountSystems(ids[ids.length - 1]);
+            this.showToast(`Imported ${ids.length} system${ids.length === 1 ? '' : 's'}`);
+        }
+        if (errors.length > 0) {
+            if (this.elements.systemEditorStatus) {
+                this.elements.systemEditorStatus.textContent = errors.join('. ');
+                this.elements.systemEditorStatus.classList.add('error');
+            }
+            if (ids.length === 0) this.showToast(errors[0], 'error');
+        }
+    }
+
+    // === Training ===
+    openTrainingModal() {
+        if (!this.deckDrill) {
+            if (this.elements.deckDrillSystem) {
+                this.fillCountSystemOptions(this.elements.deckDrillSystem);
+                this.elements.deckDrillSystem.value = this.game.settings.countingSystem || 'hi-lo';
+            }
+            if (this.elements.deckDrillSpeed) {
+                this.elements.deckDrillSpeed.value =
+                    this.drillRecords?.get('deck').intervalMs || DRILL_CONFIG.DECK_INTERVAL_MS;
+            }
+        }
+
+        this.showDrillPanel(this.elements.trainingDrill?.value || 'deck');
+        this.elements.trainingModal?.classList.add('visible');
+    }
+
+    closeTrainingModal() {
+        this.stopDeckDrill();
+        clearTimeout(this.flashcardTimer);
+        this.elements.trainingModal?.classList.remove('visible');
+    }
+
+    showDrillPanel(drill) {
+        this.elements.drillPanels?.forEach(panel => {
+            panel.style.display = panel.dataset.drillPanel === drill ? '' : 'none';
+        });
+        if (drill !== 'deck') this.stopDeckDrill();
+        if (drill === 'deck') this.renderDeckDrillStats();
+        if (drill === 'tc') this.openTrueCountDrill();
+        if (drill === 'deviations') this.openDeviationQuiz();
+        if (drill === 'flashcards') this.openFlashcards();
+        else clearTimeout(this.flashcardTimer);
+    }
+
+    startDeckDrill() {
+        this.stopDeckDrill();
+
+        const speed = parseInt(this.elements.deckDrillSpeed?.value) || DRILL_CONFIG.DECK_INTERVAL_MS;
+        this.deckDrillInterval = Math.max(DRILL_CONFIG.MIN_INTERVAL_MS, Math.min(DRILL_CONFIG.MAX_INTERVAL_MS, speed));
+        if (this.elements.deckDrillSpeed) this.elements.deckDrillSpeed.value = this.deckDrillInterval;
+
+        this.deckDrill = new DeckCountDrill({
+            countingSystem: this.elements.deckDrillSystem?.value,
+            groupSize: this.elements.deckDrillGroup?.value
+        });
+        this.deckDrill.start();
+
+        if (this.elements.deckDrillResult) this.elements.deckDrillResult.textContent = '';
+        if (this.elements.deckDrillAnswer) this.elements.deckDrillAnswer.value = '';
+        if (this.elements.btnDeckDrillStart) this.elements.btnDeckDrillStart.disabled = true;
+        if (this.elements.btnDeckDrillStop) this.elements.btnDeckDrillStop.disabled = false;
+        this.flipDeckDrill();
+    }
+
+    flipDeckDrill() {
+        const drill = this.deckDrill;
+        if (!drill) return;
+
+        const cards = drill.nextGroup();
+        const container = this.elements.deckDrillCards;
+        if (!cards) {
+            // Run over: the table clears and the player gives the count
+            if (container) container.innerHTML = '';
+            if (this.elements.deckDrillAnswerRow) this.elements.deckDrillAnswerRow.style.display = 'flex';
+            this.elements.deckDrillAnswer?.focus();
+            this.updateDeckDrillProgress('Enter the running count');
+            return;
+        }
+
+        if (container) {
+            container.innerHTML = '';
+            cards.forEach(card => {
+                const cardEl = this.createCardElement(card, true);
+                cardEl.classList.remove('dealing');
+                cardEl.style.opacity = '';
+                container.appendChild(cardEl);
+            });
+        }
+        this.updateDeckDrillProgress(`${drill.shown} / ${drill.total} cards`);
+        this.deckDrillTimer = setTimeout(() => this.flipDeckDrill(), this.deckDrillInterval);
+    }
+
+    updateDeckDrillProgress(text) {
+        const el = this.elements.deckDrillProgress;
+        if (!el || !this.deckDrill) return;
+        const start = this.deckDrill.startingCount;
+        el.textContent = start === 0 ? text : `${text} · started at ${start > 0 ? '+' : ''}${start}`;
+    }
+
+    stopDeckDrill() {
+        clearTimeout(this.deckDrillTimer);
+        this.deckDrillTimer = null;
+        this.deckDrill = null;
+
+        if (this.elements.deckDrillCards) this.elements.deckDrillCards.innerHTML = '';
+        if (this.elements.deckDrillProgress) this.elements.deckDrillProgress.textContent = '';
+        if (this.elements.deckDrillAnswerRow) this.elements.deckDrillAnswerRow.style.display = 'none';
+        if (this.elements.btnDeckDrillStart) this.elements.btnDeckDrillStart.disabled = false;
+        if (this.elements.btnDeckDrillStop) this.elements.btnDeckDrillStop.disabled = true;
+    }
+
+    submitDeckDrill() {
+        const drill = this.deckDrill;
+        const answer = parseFloat(this.elements.deckDrillAnswer?.value);
+        if (!drill || !drill.done || isNaN(answer)) return;
+
+        const result = drill.submit(answer);
+        const { intervalMs, newBest } = this.drillRecords ?
+            this.drillRecords.recordDeckRun(result, drill.groupSize, this.deckDrillInterval) :
+            { intervalMs: this.deckDrillInterval, newBest: false };
+
+        const signed = (n) => n > 0 ? `+${n}` : `${n}`;
+        if (this.elements.deckDrillResult) {
+            this.elements.deckDrillResult.textContent = result.correct ?
+                `Correct, ${signed(result.expected)} in ${result.seconds.toFixed(1)}s` +
+                `${newBest ? ' · new personal best' : ''}` :
+                `The count was ${signed(result.expected)}, not ${signed(result.answer)}`;
+        }
+
+        this.stopDeckDrill();
+        if (this.elements.deckDrillSpeed) this.elements.deckDrillSpeed.value = intervalMs;
+        this.renderDeckDrillStats();
+        this.playSound(result.correct ? 'win' : 'lose');
+    }
+
+    renderDeckDrillStats() {
+        const list = this.elements.deckDrillStats;
+        if (!list || !this.drillRecords) return;
+
+        const session = this.drillRecords.getSession('deck');
+        const bests = this.drillRecords.get('deck').bests || {};
+        const rows = [];
+        if (session.runs > 0) {
+            rows.push(['This session', `${session.correct} / ${session.runs} right ` +
+                `(${Math.round(session.correct / session.runs * 100)}%)`]);
+            rows.push(['Average time', `${(session.seconds / session.runs).toFixed(1)}s`]);
+        }
+        for (const size of Object.keys(bests)) {
+            rows.push([`Best, ${size} per flip`, `${bests[size].seconds.toFixed(1)}s per deck`]);
+        }
+        list.innerHTML = rows.map(([label, value]) => `<li><span>${label}</span><span>${value}</span></li>`).join('');
+    }
+
+    /**
+     * Start the true count drill under the table's shoe, count and estimation settings
+     */
+    openTrueCountDrill() {
+        const s = this.game.settings;
+        this.tcDrill = new TrueCountDrill({
+            deckCount: s.deckCount,
+            countingSystem: s.countingSystem,
+            trueCountRounding: s.trueCountRounding,
+            deckEstimation: s.deckEstimation,
+            penetration: this.game.deck.penetration
+        });
+
+        if (this.elements.tcDrillVisual) {
+            this.elements.tcDrillVisual.value = (s.deckEstimation || '').startsWith('discard') ? 'tray' : 'shoe';
+        }
+        if (this.elements.tcDrillRules) {
+            const rounding = { round: 'rounded', floor: 'floored', truncate: 'truncated' }[s.trueCountRounding] || 'rounded';
+            const decks = {
+                'exact': 'exact decks left',
+                'half-deck': 'shoe to the half deck',
+                'discard-half': 'tray to the half deck',
+                'discard-full': 'tray to the whole deck'
+            }[s.deckEstimation] || 'exact decks left';
+            this.elements.tcDrillRules.textContent = `${this.getCountSystemName(s.countingSystem)}, ${rounding}, ${decks}`;
+        }
+
+        this.renderTrueCountStats();
+        this.nextTrueCountQuestion();
+    }
+
+    nextTrueCountQuestion() {
+        if (!this.tcDrill) return;
+        const question = this.tcDrill.next();
+        this.tcDrillAnswered = false;
+
+        if (this.elements.tcDrillRc) {
+            this.elements.tcDrillRc.textContent = `${question.runningCount > 0 ? '+' : ''}${question.runningCount}`;
+        }
+        if (this.elements.tcDrillResult) this.elements.tcDrillResult.textContent = '';
+        if (this.elements.tcDrillAnswer) {
+            this.elements.tcDrillAnswer.value = '';
+            this.elements.tcDrillAnswer.focus();
+        }
+        this.renderTrueCountGraphic();
+    }
+
+    // Fill the tray with the cards dealt, or the shoe with the cards left, out of the whole shoe
+    renderTrueCountGraphic() {
+        const question = this.tcDrill?.question;
+        if (!question || !this.elements.tcDrillFill) return;
+
+        const tray = this.elements.tcDrillVisual?.value !== 'shoe';
+        const share = (tray ? question.dealt : question.remaining) / question.total;
+        this.elements.tcDrillFill.style.height = `${(share * 100).toFixed(1)}%`;
+        this.elements.tcDrillGraphic?.classList.toggle('shoe', !tray);
+    }
+
+    submitTrueCountDrill() {
+        const answer = parseFloat(this.elements.tcDrillAnswer?.value);
+        if (!this.tcDrill?.question || this.tcDrillAnswered || isNaN(answer)) return;
+
+        const result = this.tcDrill.submit(answer);
+        this.tcDrillAnswered = true;
+        this.drillRecords?.recordTrueCountAnswer(result);
+
+        const signed = (n) => n > 0 ? `+${n}` : `${n}`;
+        // Exact decks are a raw cards/52 divisor; the other modes already land on halves or whole decks
+        const divisor = this.tcDrill.deck.deckEstimation === 'exact' ? result.divisor.toFixed(2) : result.divisor;
+        const decks = `${result.decksRemaining.toFixed(1)} decks left, divide by ${divisor}`;
+        if (this.elements.tcDrillResult) {
+            this.elements.tcDrillResult.textContent = result.correct ?
+                `Correct, TC ${signed(result.expected)} (${decks})` :
+                `TC ${signed(result.expected)}, not ${signed(result.answer)} (${decks})`;
+        }
+        this.renderTrueCountStats();
+        this.playSound(result.correct ? 'win' : 'lose');
+    }
+
+    renderTrueCountStats() {
+        const list = this.elements.tcDrillStats;
+        if (!list || !this.drillRecords) return;
+
+        const session = this.drillRecords.getSession('tc');
+        const ranges = this.drillRecords.get('tc').ranges || {};
+        const rows = [];
+        if (session.runs > 0) {
+            rows.push(['This session', `${session.correct} / ${session.runs} right ` +
+                `(${Math.round(session.correct / session.runs * 100)}%)`]);
+            rows.push(['Average time', `${(session.seconds / session.runs).toFixed(1)}s`]);
+        }
+        Object.keys(ranges)
+            .sort((a, b) => parseInt(b) - parseInt(a))
+            .forEach(range => {
+                const { answers, correct } = ranges[range];
+                rows.push([`${range} decks left`, `${Math.round(correct / answers * 100)}% of ${answers}`]);
+            });
+        list.innerHTML = rows.map(([label, value]) => `<li><span>${label}</span><span>${value}</span></li>`).join('');
+    }
+
+    /**
+     * Start flashcards graded by the chart for the table's current rules
+     */
+    openFlashcards() {
+        if (!this.drillRecords) return;
+        clearTimeout(this.flashcardTimer);
+
+        const canSurrender = this.game.settings.surrenderMode === 'late';
+        this.flashcards = new StrategyFlashcards({
+            rules: this.game.getStrategyRules(),
+            canSurrender,
+            focus: this.elements.flashcardFocus?.value || 'all'
+        }, this.drillRecords.get('flashcards'));
+
+        this.elements.flashcardButtons?.forEach(button => {
+            if (button.dataset.flashcardAction === 'SURRENDER') button.style.display = canSurrender ? '' : 'none';
+        });
+        this.renderFlashcardStats();
+        this.nextFlashcard();
+    }
+
+    // Lay cards out face up without the deal animation
+    showDrillCards(container, cards) {
+        if (!container) return;
+        container.innerHTML = '';
+        cards.forEach(card => {
+            const cardEl = this.createCardElement(card, true);
+            cardEl.classList.remove('dealing');
+            cardEl.style.opacity = '';
+            container.appendChild(cardEl);
+        });
+    }
+
+    nextFlashcard() {
+        if (!this.flashcards) return;
+        const question = this.flashcards.next();
+        this.flashcardAnswered = false;
+
+        this.showDrillCards(this.elements.flashcardDealer, [question.dealerCard]);
+        this.showDrillCards(this.elements.flashcardPlayer, question.playerCards);
+
+        this.elements.flashcardButtons?.forEach(button => {
+            const action = button.dataset.flashcardAction;
+            button.disabled = action === 'SPLIT' && question.category !== 'pairs';
+            button.classList.remove('btn-accept');
+            button.classList.add('btn-decline');
+        });
+        if (this.elements.flashcardResult) this.elements.flashcardResult.textContent = '';
+    }
+
+    answerFlashcard(action) {
+        if (!this.flashcards?.question || this.flashcardAnswered) return;
+
+        const result = this.flashcards.submit(action);
+        this.flashcardAnswered = true;
+        this.drillRecords.recordFlashcard(result);
+
+        // Light up the right play
+        this.elements.flashcardButtons?.forEach(button => {
+            button.disabled = true;
+            if (button.dataset.flashcardAction === result.expected) {
+                button.classList.remove('btn-decline');
+                button.classList.add('btn-accept');
+            }
+        });
+
+        const q = this.flashcards.question;
+        const upcard = q.upcard === 11 ? 'A' : q.upcard;
+        const hand = q.category === 'pairs' ? `Pair of ${q.value === 11 ? 'A' : q.value}s` :
+            `${FLASHCARD_CATEGORIES[q.category].label} ${q.value}`;
+        const name = (a) => a.charAt(0) + a.slice(1).toLowerCase();
+        if (this.elements.flashcardResult) {
+            this.elements.flashcardResult.textContent = result.correct ?
+                `${hand} vs ${upcard}: ${name(result.expected)}` :
+                `${hand} vs ${upcard}: ${name(result.expected)}, not ${name(result.answer)}`;
+        }
+        this.renderFlashcardStats();
+        this.playSound(result.correct ? 'win' : 'lose');
+        this.flashcardTimer = setTimeout(() => this.nextFlashcard(),
+            result.correct ? DRILL_CONFIG.FLASHCARD_NEXT_MS : DRILL_CONFIG.FLASHCARD_MISS_MS);
+    }
+
+    renderFlashcardStats() {
+        if (!this.drillRecords) return;
+        const session = this.drillRecords.getSession('flashcards');
+        const record = this.drillRecords.get('flashcards');
+        const percent = (tally) => tally && tally.answers ? `${Math.round(tally.correct / tally.answers * 100)}%` : '-';
+
+        if (this.elements.flashcardStats) {
+            const rows = [];
+            if (session.runs > 0) {
+                rows.push(['This session', `${session.correct} / ${session.runs} right ` +
+                    `(${Math.round(session.correct / session.runs * 100)}%)`]);
+            }
+            for (const category of Object.keys(FLASHCARD_CATEGORIES)) {
+                const tally = record.categories?.[category];
+                if (tally) rows.push([FLASHCARD_CATEGORIES[category].label, `${percent(tally)} of ${tally.answers}`]);
+            }
+            this.elements.flashcardStats.innerHTML = rows
+                .map(([label, value]) => `<li><span>${label}</span><span>${value}</span></li>`).join('');
+        }
+
+        if (this.elements.flashcardUpcards) {
+            this.elements.flashcardUpcards.innerHTML = record.upcards ? FLASHCARD_UPCARDS.map(upcard =>
+                `<span><strong>${upcard === 11 ? 'A' : upcard}</strong>${percent(record.upcards[upcard])}</span>`
+            ).join('') : '';
+        }
+    }
+
+    /**
+     * Start the deviation quiz on the index set in force at the table
+     */
+    openDeviationQuiz() {
+        const s = this.game.settings;
+        const system = s.countingSystem || 'hi-lo';
+        const h17 = !!s.dealerHitsSoft17;
+        this.deviationQuiz = new DeviationQuiz({
+            indexSet: this.game.getIndexSet(),
+            rules: this.game.getStrategyRules(),
+            canSurrender: s.surrenderMode === 'late',
+            insurance: !!s.insuranceAllowed
+        });
+
+        if (this.elements.quizIndexSet) {
+            const edited = this.deviationManager?.isEdited(system, h17) ? ', edited' : '';
+            const estimated = this.deviationQuiz.options.indexSet.estimated ? ' (estimated from Hi-Lo)' : '';
+            this.elements.quizIndexSet.textContent =
+                `${this.getCountSystemName(system)} ${h17 ? 'H17' : 'S17'} indices${estimated}${edited}, with the table's rules`;
+        }
+        this.renderDeviationQuizStats();
+        this.nextDeviationQuestion();
+    }
+
+    nextDeviationQuestion() {
+        if (!this.deviationQuiz) return;
+        const question = this.deviationQuiz.next();
+        this.deviationAnswered = false;
+
+        if (this.elements.quizTrueCount) {
+            this.elements.quizTrueCount.textContent = question.trueCount > 0 ? `+${question.trueCount}` : question.trueCount;
+        }
+        this.showDrillCards(this.elements.quizDealer, [question.dealerCard]);
+        this.showDrillCards(this.elements.quizPlayer, question.playerCards);
+
+        // Insurance questions take an insurance answer; split is only for the pair of tens
+        const insurance = question.category === 'insurance';
+        const canSurrender = this.game.settings.surrenderMode === 'late';
+        this.elements.quizButtons?.forEach(button => {
+            const action = button.dataset.quizAction;
+            const shown = action === 'INSURANCE' || action === 'NO_INSURANCE' ? insurance :
+                !insurance && (action !== 'SURRENDER' || canSurrender);
+            button.style.display = shown ? '' : 'none';
+            button.disabled = action === 'SPLIT' && !question.key.startsWith('TT');
+            button.classList.remove('btn-accept');
+            button.classList.add('btn-decline');
+        });
+
+        if (this.elements.quizResult) this.elements.quizResult.textContent = '';
+        if (this.elements.quizProgress) {
+            this.elements.quizProgress.textContent =
+                `Question ${this.deviationQuiz.asked} of ${this.deviationQuiz.roundSize}, each index from both sides`;
+        }
+    }
+
+    answerDeviationQuiz(action) {
+        if (!this.deviationQuiz?.question || this.deviationAnswered) return;
+
+        const result = this.deviationQuiz.submit(action);
+        this.deviationAnswered = true;
+        this.drillRecords?.recordDeviationAnswer(result);
+
+        this.elements.quizButtons?.forEach(button => {
+            button.disabled = true;
+            if (button.dataset.quizAction === result.expected) {
+                button.classList.remove('btn-decline');
+                button.classList.add('btn-accept');
+            }
+        });
+        if (this.elements.quizResult) {
+            this.elements.quizResult.textContent = this.explainDeviationIndex(this.deviationQuiz.question, result);
+        }
+        this.renderDeviationQuizStats();
+        this.playSound(result.correct ? 'win' : 'lose');
+    }
+
+    /**
+     * What the index says and what it means at the count asked
+     */
+    explainDeviationIndex(question, result) {
+        const signed = (n) => n > 0 ? `+${n}` : `${n}`;
+        const play = (action) => ({
+            INSURANCE: 'take insurance',
+            NO_INSURANCE: 'decline insurance'
+        })[action] || action.toLowerCase();
+        const { category, key, entry, trueCount } = question;
+        const threshold = signed(entry.threshold);
+
+        let index;
+        if (category === 'insurance') {
+            index = `Insurance index ${threshold}: take insurance at TC ${threshold} or higher.`;
+        } else {
+            const [total, up] = key.split('_');
+            const hand = `${total === 'TT' ? '10,10' : total} v ${up === '11' ? 'A' : up}`;
+            const rule = category === 'surrender' ? `surrender at TC ${threshold} or higher` :
+                entry.belowAction ? `${play(entry.belowAction)} below TC ${threshold}` :
+                `${play(entry.action)} at TC ${threshold} or higher`;
+            index = `${hand} index ${threshold}: ${rule}.`;
+        }
+
+        const outcome = result.deviation ?
+            `At TC ${signed(trueCount)} that means ${play(result.expected)} instead of basic strategy's ${play(result.basic)}.` :
+            `At TC ${signed(trueCount)} play basic strategy: ${play(result.expected)}.`;
+        // 15 v 10 stands at +4 by its play index, but its surrender index applies first
+        const precedence = category === 'plays' && entry.action && trueCount >= entry.threshold &&
+            result.expected !== entry.action ? ` The ${play(result.expected)} index comes first here.` : '';
+        const verdict = result.correct ? 'Right.' : `Not ${play(result.answer)}.`;
+        return `${verdict} ${index} ${outcome}${precedence}`;
+    }
+
+    renderDeviationQuizStats() {
+        const list = this.elements.quizStats;
+        if (!list || !this.drillRecords) return;
+
+        const session = this.drillRecords.getSession('deviations');
+        const rows = [];
+        if (session.runs > 0) {
+            rows.push(['This session', `${session.correct} / ${session.runs} right ` +
+                `(${Math.round(session.correct / session.runs * 100)}%)`]);
+        }
+
+        // Indices missed most often, for the ones in the current set
+        const set = this.deviationQuiz?.options.indexSet;
+        const indices = this.drillRecords.get('deviations').indices || {};
+        Object.entries(indices)
+            .filter(([id, tally]) => {
+                const [category, key] = id.split(':');
+                return tally.correct < tally.answers && set && (category === 'insurance' || set[category]?.[key]);
+            })
+            .sort(([, a], [, b]) => a.correct / a.answers - b.correct / b.answers)
+            .slice(0, 3)
+            .forEach(([id, tally]) => {
+                const [category, key] = id.split(':');
+                const [total, up] = key.split('_');
+                const label = category === 'insurance' ? 'Insurance' :
+                    `${category === 'surrender' ? 'Surrender ' : ''}${total === 'TT' ? '10,10' : total} v ${up === '11' ? 'A' : up}`;
+                rows.push([`Missed: ${label}`, `${tally.correct} / ${tally.answers} right`]);
+            });
+        list.innerHTML = rows.map(([label, value]) => `<li><span>${label}</span><span>${value}</span></li>`).join('');
+    }
+
+    // === Count Checkpoints ===
+    /**
+     * Ask for the counts before a round when hidden count mode is due, skipping fresh shoes
+     */
+    checkCountCheckpoint() {
+        if (!this.countingEnabled || this.countCheckpoints === 'off') return;
+        if (this.game.deck.remaining === this.game.deck.total) return;
+
+        this.roundsSinceCheckpoint++;
+        const due = this.countCheckpoints === 'random' ?
+            Math.random() < DRILL_CONFIG.CHECKPOINT_CHANCE :
+            this.roundsSinceCheckpoint >= parseInt(this.countCheckpoints);
+        if (due) this.openCheckpointModal();
+    }
+
+    openCheckpointModal() {
+        this.roundsSinceCheckpoint = 0;
+        this.checkpointAnswered = false;
+        if (this.elements.checkpointRunning) this.elements.checkpointRunning.value = '';
+        if (this.elements.checkpointTrue) this.elements.checkpointTrue.value = '';
+        if (this.elements.checkpointResult) this.elements.checkpointResult.textContent = '';
+        if (this.elements.checkpointAcceptLabel) this.elements.checkpointAcceptLabel.textContent = 'Check';
+        if (this.elements.btnSkipCheckpoint) this.elements.btnSkipCheckpoint.style.display = '';
+        this.renderCheckpointScore();
+
+        this.elements.checkpointModal?.classList.add('visible');
+        this.elements.checkpointRunning?.focus();
+    }
+
+    closeCheckpointModal() {
+        this.elements.checkpointModal?.classList.remove('visible');
+    }
+
+    submitCheckpoint() {
+        if (this.checkpointAnswered) {
+            this.closeCheckpointModal();
+            return;
+        }
+
+        const running = parseFloat(this.elements.checkpointRunning?.value);
+        const trueCount = parseFloat(this.elements.checkpointTrue?.value);
+        if (isNaN(running) || isNaN(trueCount)) {
+            this.showToast('Enter both counts', 'error');
+            return;
+        }
+
+        const result = gradeCountCheckpoint(this.game.deck, running, trueCount);
+        this.checkpointAnswered = true;
+        this.drillRecords?.recordCheckpoint(result);
+
+        const signed = (n) => n > 0 ? `+${n}` : `${n}`;
+        const describe = (label, count, error) => error === 0 ?
+            `${label} ${signed(count)} is right` :
+            `${label} is ${signed(count)}, you were ${Math.abs(error)} ${error > 0 ? 'high' : 'low'}`;
+        if (this.elements.checkpointResult) {
+            this.elements.checkpointResult.textContent =
+                `${describe('RC', result.runningCount, result.runningError)} · ` +
+                `${describe('TC', result.trueCount, result.trueError)}`;
+        }
+        if (this.elements.checkpointAcceptLabel) this.elements.checkpointAcceptLabel.textContent = 'Continue';
+        if (this.elements.btnSkipCheckpoint) this.elements.btnSkipCheckpoint.style.display = 'none';
+        this.renderCheckpointScore();
+        this.playSound(result.correct ? 'win' : 'lose');
+    }
+
+    renderCheckpointScore() {
+        const el = this.elements.checkpointScore;
+        if (!el || !this.drillRecords) return;
+
+        const format = (label, tally) => {
+            const percent = (n) => Math.round(n / tally.checks * 100);
+            return `${label}: RC ${percent(tally.runningCorrect)}%, TC ${percent(tally.trueCorrect)}% ` +
+                `of ${tally.checks} (off by ${(tally.runningMiss / tally.checks).toFixed(1)} / ` +
+                `${(tally.trueMiss / tally.checks).toFixed(1)} on average)`;
+        };
+        const session = this.drillRecords.getSession('checkpoint');
+        const overall = this.drillRecords.get('checkpoint');
+        const lines = [];
+        if (session.checks) lines.push(format('This session', session));
+        if (overall.checks) lines.push(format('All time', overall));
+        el.textContent = lines.join(' · ');
+        el.style.display = lines.length > 0 ? '' : 'none';
+    }
+
+    // === Deviation Indices ===
+    updateIndexSummary() {
+        const el = this.elements.indicesSummary;
+        if (!el) return;
+
+        const system = this.game.settings.countingSystem || 'hi-lo';
+        const h17 = !!this.game.settings.dealerHitsSoft17;
+        const set = this.game.getIndexSet();
+        const count = Object.keys(set.plays).length + Object.keys(set.surrender).length + 1;
+        const source = this.deviationManager?.isEdited(system, h17) ? 'edited' :
+            set.estimated ? 'estimated from Hi-Lo' : 'built-in';
+        el.textContent = `${this.getCountSystemName(system)} ${h17 ? 'H17' : 'S17'}: ${count} indices, ${source}`;
+    }
+
+    openIndicesModal() {
+        if (this.elements.indicesSystem) {
+            this.fillCountSystemOptions(this.elements.indicesSystem);
+            this.elements.indicesSystem.value = this.game.settings.countingSystem || 'hi-lo';
+        }
+        if (this.elements.indicesRules) {
+            this.elements.indicesRules.value = this.game.settings.dealerHitsSoft17 ? 'h17' : 's17';
+        }
+
+        this.renderIndexList();
+        this.updateIndexForm();
+        this.elements.indicesModal?.classList.add('visible');
+    }
+
+    closeIndicesModal() {
+        this.elements.indicesModal?.classList.remove('visible');
+    }
+
+    // The set the editor is showing
+    getEditedIndexSet() {
+        const system = this.elements.indicesSystem?.value || 'hi-lo';
+        const h17 = this.elements.indicesRules?.value === 'h17';
+        return { system, h17, set: getIndexSet(system, h17) };
+    }
+
+    renderIndexList() {
+        const list = this.elements.indexList;
+        if (!list) return;
+
+        const { system, h17, set } = this.getEditedIndexSet();
+        const upcard = (value) => value === '11' ? 'A' : value;
+        const play = (action) => action.charAt(0) + action.slice(1).toLowerCase();
+
+        const rows = [{ category: 'insurance', key: 'insurance', hand: 'Insurance', rule: 'Take at or above', entry: set.insurance }];
+        for (const [key, entry] of Object.entries(set.plays)) {
+            const [total, up] = key.split('_');
+            rows.push({
+                category: 'plays',
+                key,
+                hand: `${total === 'TT' ? '10,10' : total} v ${upcard(up)}`,
+                rule: entry.belowAction ? `${play(entry.belowAction)} below` : `${play(entry.action)} at or above`,
+                entry
+            });
+        }
+        for (const [key, entry] of Object.entries(set.surrender)) {
+            const [total, up] = key.split('_');
+            rows.push({ category: 'surrender', key, hand: `${total} v ${upcard(up)}`, rule: 'Surrender at or above', entry });
+        }
+
+        list.innerHTML = rows.map(row => `
+            <li class="index-row">
+                <span class="index-hand">${row.hand}</span>
+                <span class="index-rule">${row.rule}</span>
+                <input type="number" class="setting-select index-threshold" step="1" min="-20" max="20"
+                    value="${row.entry.threshold}" data-category="${row.category}" data-index-key="${row.key}"
+                    aria-label="${row.hand} index">
+                ${row.category === 'insurance' ? '<span class="index-remove-spacer"></span>' : `
+                <button type="button" class="btn-preset" data-category="${row.category}" data-remove-index="${row.key}"
+                    title="Remove index" aria-label="Remove ${row.hand} index">
+                    <i class="fa-solid fa-trash"></i>
+                </button>`}
+            </li>`).join('');
+
+        if (this.elements.indicesSource) {
+            const name = this.getCountSystemName(system);
+            const source = this.deviationManager?.isEdited(system, h17) ? 'Edited by you' :
+                system === 'hi-lo' ? 'Illustrious 18 and Fab 4' :
+                set.estimated ? `Estimated: the Hi-Lo indices scaled for the spread of ${name} tags, not indices worked out for ${name}` :
+                `Worked out for ${name} by the strategy engine, six decks`;
+            this.elements.indicesSource.textContent = `${source}.`;
+        }
+    }
+
+    // Show only the fields the chosen kind of index uses
+    updateIndexForm() {
+        const type = this.elements.indexHandType?.value || 'hard';
+        if (this.elements.indexTotalRow) this.elements.indexTotalRow.style.display = type === 'tens' ? 'none' : 'flex';
+        if (this.elements.indexPlayRow) this.elements.indexPlayRow.style.display = type === 'hard' ? 'flex' : 'none';
+        if (this.elements.indexDirectionRow) this.elements.indexDirectionRow.style.display = type === 'hard' ? 'flex' : 'none';
+    }
+
+    // Save an index edit and refresh what shows it
+    applyIndexEdit(category, key, entry) {
+        if (!this.deviationManager) return false;
+        const { system, h17 } = this.getEditedIndexSet();
+        const error = this.deviationManager.setIndex(system, h17, category, key, entry);
+        if (error) {
+            this.showToast(error, 'error');
+            return false;
+        }
+
+        this.renderIndexList();
+        this.updateIndexSummary();
+        this.updateHint();
+        return true;
+    }
+
+    addIndex() {
+        const type = this.elements.indexHandType?.value || 'hard';
+        const upcard = this.elements.indexUpcard?.value || '10';
+        const threshold = parseFloat(this.elements.indexThreshold?.value);
+
+        if (type === 'surrender') {
+            this.applyIndexEdit('surrender', `${parseInt(this.elements.indexTotal?.value)}_${upcard}`, { threshold });
+        } else if (type === 'tens') {
+            this.applyIndexEdit('plays', `TT_${upcard}`, { threshold, action: 'SPLIT' });
+        } else {
+            const action = this.elements.indexAction?.value || 'STAND';
+            const entry = this.elements.indexDirection?.value === 'below' ?
+                { threshold, belowAction: action } : { threshold, action };
+            this.applyIndexEdit('plays', `${parseInt(this.elements.indexTotal?.value)}_${upcard}`, entry);
+        }
+    }
+
+    changeIndexThreshold(input) {
+        const { set } = this.getEditedIndexSet();
+        const category = input.dataset.category;
+        const key = input.dataset.indexKey;
+        const current = category === 'insurance' ? set.insurance : set[category][key];
+        if (!this.applyIndexEdit(category, key, { ...current, threshold: parseFloat(input.value) })) {
+            input.value = current.threshold;
+        }
+    }
+
+    removeIndex(category, key) {
+        this.applyIndexEdit(category, key, null);
+    }
+
+    resetIndexSet() {
+        const { system, h17 } = this.getEditedIndexSet();
+        this.deviationManager?.resetSet(system, h17);
+        this.renderIndexList();
+        this.updateIndexSummary();
+        this.updateHint();
+        this.showToast('Indices reset');
+    }
+
+    // === Rule Presets ===
+    renderPresetOptions() {
+        const select = this.elements.settingRulePreset;
+        if (!select || !this.presetManager) return;
+        select.innerHTML = '';
+
+        const customOption = document.createElement('option');
+        customOption.value = '';
+        customOption.textContent = 'Custom';
+        select.appendChild(customOption);
+
+        const builtIn = document.createElement('optgroup');
+        builtIn.label = 'Casinos';
+        const saved = document.createElement('optgroup');
+        saved.label = 'Saved';
+
+        const presets = this.presetManager.getAllPresets();
+        for (const id of Object.keys(presets)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = presets[id].name;
+            (this.presetManager.isCustom(id) ? saved : builtIn).appendChild(option);
+        }
+
+        select.appendChild(builtIn);
+        if (saved.children.length > 0) select.appendChild(saved);
+    }
+
+    updatePresetMatch() {
+        if (!this.presetManager) return;
+        const matchId = this.presetManager.findMatchingPreset();
+        const preset = matchId ? this.presetManager.getPreset(matchId) : null;
+
+        if (this.elements.settingRulePreset) {
+            this.elements.settingRulePreset.value = matchId || '';
+        }
+        if (this.elements.presetMatch) {
+            this.elements.presetMatch.textContent = preset ? `Matches ${preset.name}` : 'Custom rules';
+        }
+        if (this.elements.btnDeletePreset) {
+            this.elements.btnDeletePreset.style.display =
+                matchId && this.presetManager.isCustom(matchId) ? '' : 'none';
+        }
+    }
+
+    applyRulePreset(id) {
+        if (this.game.state !== GameState.BETTING) {
+            this.showToast('Rules can only change between rounds', 'error');
+            this.updatePresetMatch();
+            return;
+        }
+        if (!this.presetManager.applyPreset(id)) return;
+
+        this.loadSettingsUI();
+        this.updateShoeInfo();
+        this.updateActionButtons();
+        this.showToast(`${this.presetManager.getPreset(id).name} rules applied`);
+    }
+
+    saveRulePreset() {
+        const name = this.elements.presetNameInput?.value || '';
+        const id = this.presetManager?.saveCurrentAsPreset(name);
+        if (!id) {
+            this.showToast('Enter a name for the preset', 'error');
+            return;
+        }
+
+        this.elements.presetNameInput.value = '';
+        this.renderPresetOptions();
+        this.updatePresetMatch();
+        this.showToast(`Saved preset "${this.presetManager.getPreset(id).name}"`);
+    }
+
+    deleteRulePreset() {
+        const id = this.elements.settingRulePreset?.value;
+        if (!id || !this.presetManager.isCustom(id)) return;
+
+        const name = this.presetManager.getPreset(id).name;
+        this.presetManager.deletePreset(id);
+        this.renderPresetOptions();
+        this.updatePresetMatch();
+        this.showToast(`Deleted preset "${name}"`);
+    }
+
+    // === Simulator ===
+    openSimulatorModal() {
+        const select = this.elements.simCountSystem;
+        if (select && !this.simulatorWorker) {
+            this.fillCountSystemOptions(select);
+            select.value = this.game.settings.countingSystem || 'hi-lo';
+        }
+
+        this.elements.simulatorModal?.classList.add('visible');
+    }
+
+    closeSimulatorModal() {
+        // A running simulation keeps going in its worker
+        this.elements.simulatorModal?.classList.remove('visible');
+    }
+
+    startSimulation() {
+        if (this.simulatorWorker) return;
+        if (typeof Worker === 'undefined') {
+            this.showToast('Simulator needs Web Worker support', 'error');
+            return;
+        }
+
+        const ramp = parseRamp(this.elements.simRamp?.value);
+        if (!ramp) {
+            this.showToast('Enter a bet ramp like 1,2,4,8', 'error');
+            return;
+        }
+
+        const options = {
+            rounds: parseInt(this.elements.simRounds?.value) || 1000000,
+            strategy: this.elements.simStrategy?.value || 'basic',
+            countingSystem: this.elements.simCountSystem?.value || 'hi-lo',
+            ramp,
+            penetration: this.game.deck.penetration
+        };
+        // The worker only has the built-in systems and indices
+        if (this.countSystemManager?.isCustom(options.countingSystem)) {
+            options.customSystem = COUNTING_SYSTEMS[options.countingSystem];
+        }
+        options.indexSet = getIndexSet(options.countingSystem, !!this.game.settings.dealerHitsSoft17);
+
+        this.simulatorWorker = new Worker('js/simulator-worker.js');
+        this.simulatorWorker.onmessage = (e) => this.handleSimulatorMessage(e.data);
+        this.simulatorWorker.onerror = (e) => this.handleSimulatorMessage({ type: 'error', message: e.message });
+        this.simulatorWorker.postMessage({ type: 'start', settings: { ...this.game.settings }, options });
+        this.simulationOptions = options;
+
+        this.setSimulationRunning(true);
+        this.updateSimulationProgress(0, options.rounds);
+    }
+
+    cancelSimulation() {
+        this.simulatorWorker?.postMessage({ type: 'cancel' });
+    }
+
+    setSimulationRunning(running) {
+        if (this.elements.btnRunSimulation) this.elements.btnRunSimulation.disabled = running;
+        if (this.elements.btnCancelSimulation) this.elements.btnCancelSimulation.disabled = !running;
+        if (this.elements.simProgress) this.elements.simProgress.style.display = running ? '' : 'none';
+    }
+
+    updateSimulationProgress(done, total) {
+        if (this.elements.simProgressFill) {
+            this.elements.simProgressFill.style.width = `${Math.round(done / total * 100)}%`;
+        }
+        if (this.elements.simStatus) {
+            this.elements.simStatus.textContent = `${done.toLocaleString()} / ${total.toLocaleString()} rounds`;
+        }
+    }
+
+    handleSimulatorMessage(message) {
+        if (message.type === 'progress') {
+            this.updateSimulationProgress(message.done, message.total);
+            this.renderSimulationResults(message.results);
+            return;
+        }
+
+        this.simulatorWorker?.terminate();
+        this.simulatorWorker = null;
+        this.setSimulationRunning(false);
+
+        if (message.type === 'error') {
+            if (this.elements.simStatus) this.elements.simStatus.textContent = `Simulation failed: ${message.message}`;
+            return;
+        }
+
+        this.renderSimulationResults(message.results);
+        if (message.results) {
+            this.lastSimulation = { ...this.simulationOptions, results: message.results };
+            this.updateRiskStat();
+        }
+        if (this.elements.simStatus && message.results) {
+            const verb = message.type === 'cancelled' ? 'Cancelled after' : 'Finished';
+            this.elements.simStatus.textContent = `${verb} ${message.results.rounds.toLocaleString()} rounds`;
+        }
+    }
+
+    renderSimulationResults(results) {
+        const container = this.elements.simResults;
+        if (!container || !results) return;
+
+        const signed = (value, digits) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+        const summary = [
+            ['EV / round', `${signed(results.ev, 4)} u`],
+            ['EV / initial bet', `${signed(results.evPercent * 100, 3)}%`],
+            ['SD / round', `${results.sd.toFixed(3)} u`],
+            ['Average bet', `${results.averageBet.toFixed(2)} u`],
+            ['N0', results.n0 ? `${Math.round(results.n0).toLocaleString()} rounds` : 'n/a (no edge)'],
+            ['SCORE', signed(results.score, 2)]
+        ];
+
+        const rows = results.trueCounts
+            .filter(tc => tc.frequency >= 0.001)
+            .map(tc => `<tr><td>${signed(tc.trueCount, 0)}</td><td>${(tc.frequency * 100).toFixed(1)}%</td>` +
+                `<td class="${tc.winRate >= 0 ? 'positive' : 'negative'}">${signed(tc.winRate * 100, 2)}%</td></tr>`)
+            .join('');
+
+        container.innerHTML =
+            `<div class="sim-summary">${summary.map(([label, value]) =>
+                `<div class="sim-stat"><span>${label}</span><strong>${value}</strong></div>`).join('')}</div>` +
+            `<table class="sim-tc-table"><thead><tr><th>TC</th><th>Freq</th><th>Win rate</th></tr></thead>` +
+            `<tbody>${rows}</tbody></table>`;
+    }
+
+    // === Bet Advisor ===
+    updateBetAdvice() {
+        const el = this.elements.betAdvice;
+        if (!el) return;
+
+        // The advised bet gives the count away, so hidden count mode leaves it out
+        const advice = this.game.state === GameState.BETTING && !this.isCountHidden() ? this.game.getBetAdvice() : null;
+        if (!advice) {
+            el.style.display = 'none';
+            return;
+        }
+
+        const bet = this.getCurrentBet();
+        const discipline = bet > 0 ? this.game.getBetDiscipline(bet, advice.bet) : 'on';
+        const tc = `${advice.trueCount > 0 ? '+' : ''}${advice.trueCount}`;
+        const sizing = advice.mode === 'kelly' ?
+            `${advice.edge >= 0 ? '+' : ''}${(advice.edge * 100).toFixed(2)}% edge` :
+            `${advice.units} unit${advice.units === 1 ? '' : 's'}`;
+        const flag = discipline === 'on' ? '' :
+            ` <span class="bet-advice-flag">${discipline === 'over' ? 'Over' : 'Under'} the ramp</span>`;
+
+        el.innerHTML = `<i class="fa-solid fa-scale-balanced"></i> TC ${tc} · ${sizing} · ` +
+            `Bet $${advice.bet.toLocaleString()}${flag}`;
+        el.classList.toggle('off-ramp', discipline !== 'on');
+        el.style.display = '';
+    }
+
+    applyBetAdvice() {
+        if (this.game.state !== GameState.BETTING || this.isCountHidden()) return;
+        const advice = this.game.getBetAdvice();
+        if (!advice) return;
+
+        this.placedChips = this.convertAmountToChips(advice.bet);
+        this.setBet(advice.bet);
+        this.renderChipStacks();
+        this.playSound('chip');
+    }
+
+    /**
+     * Save the betting unit and ramp shared by the bet advisor and the risk calculator
+     */
+    updateBetSpread(unitValue, rampValue) {
+        const unit = parseFloat(unitValue);
+        const ramp = parseRamp(rampValue);
+        this.game.updateSettings({
+            betUnit: unit > 0 ? unit : this.game.settings.betUnit,
+            betRamp: ramp || this.game.settings.betRamp
+        });
+
+        if (this.elements.settingBetUnit) this.elements.settingBetUnit.value = this.game.settings.betUnit;
+        if (this.elements.settingBetRamp) this.elements.settingBetRamp.value = this.game.settings.betRamp.join(',');
+        this.updateBetAdvice();
+    }
+
+    updateBetAdvisorRows() {
+        const mode = this.game.settings.betAdvisor;
+        if (this.elements.betUnitGroup) this.elements.betUnitGroup.style.display = mode === 'ramp' ? '' : 'none';
+        if (this.elements.betRampGroup) this.elements.betRampGroup.style.display = mode === 'ramp' ? '' : 'none';
+        if (this.elements.kellyFractionGroup) {
+            this.elements.kellyFractionGroup.style.display = mode === 'kelly' ? '' : 'none';
+        }
+    }
+
+    // === Risk of Ruin ===
+    openRiskModal() {
+        const risk = this.riskSettings;
+        if (this.elements.riskBankroll) this.elements.riskBankroll.value = this.game.balance;
+        if (this.elements.riskUnit) this.elements.riskUnit.value = this.game.settings.betUnit;
+        if (this.elements.riskRamp) this.elements.riskRamp.value = this.game.settings.betRamp.join(',');
+        if (this.elements.riskTripHours) this.elements.riskTripHours.value = risk.tripHours;
+        if (this.elements.riskTarget) this.elements.riskTarget.value = risk.targetRisk;
+        if (this.elements.riskSource) {
+            this.elements.riskSource.options[1].disabled = !this.lastSimulation;
+            this.elements.riskSource.value = risk.source === 'simulation' && this.lastSimulation ? 'simulation' : 'analytic';
+        }
+
+        this.renderRisk();
+        this.elements.riskModal?.classList.add('visible');
+    }
+
+    closeRiskModal() {
+        this.elements.riskModal?.classList.remove('visible');
+    }
+
+    handleRiskInput() {
+        this.updateBetSpread(this.elements.riskUnit?.value, this.elements.riskRamp?.value);
+
+        const risk = this.riskSettings;
+        risk.tripHours = parseFloat(this.elements.riskTripHours?.value) || risk.tripHours;
+        risk.targetRisk = parseFloat(this.elements.riskTarget?.value) || risk.targetRisk;
+        risk.source = this.elements.riskSource?.value || 'analytic';
+        this.saveUIPreferences();
+
+        this.renderRisk();
+        this.updateRiskStat();
+    }
+
+    /**
+     * Per-round EV and SD in dollars, from the last simulation or the count model
+     */
+    getRiskFigures() {
+        const unit = this.game.settings.betUnit;
+        const sim = this.lastSimulation;
+
+        if (this.riskSettings.source === 'simulation' && sim) {
+            return {
+                ev: sim.results.ev * unit,
+                sd: sim.results.sd * unit,
+                averageBet: sim.results.averageBet * unit,
+                basis: `${sim.results.rounds.toLocaleString()}-round simulation, spread ${sim.ramp.join(',')}, ` +
+                    `${this.getCountSystemName(sim.countingSystem)}, ${Math.round(sim.penetration * 100)}% penetration`
+            };
+        }
+
+        const settings = this.game.settings;
+        const penetration = this.game.deck.penetration;
+        const system = settings.countingSystem || 'hi-lo';
+        const spots = this.game.getSpotCount();
+        const { ev, sd, averageBet } = estimateSpreadResults(settings, penetration, settings.betRamp, system);
+        return {
+            ev: ev * unit,
+            sd: sd * unit,
+            averageBet: averageBet * unit,
+            basis: `Count model: ${this.getCountSystemName(system)}, ${settings.deckCount} decks, ${Math.round(penetration * 100)}% penetration, ` +
+                `${spots} spot${spots === 1 ? '' : 's'}`
+        };
+    }
+
+    formatRisk(probability) {
+        if (probability >= 0.9995) return '100%';
+        if (probability < 0.001) return '<0.1%';
+        return `${(probability * 100).toFixed(1)}%`;
+    }
+
+    updateRiskStat() {
+        const button = this.elements.btnRisk;
+        if (!button || typeof estimateSpreadResults !== 'function') return;
+
+        const { ev, sd } = this.getRiskFigures();
+        const ror = calculateRiskOfRuin(ev, sd, this.game.balance);
+        button.textContent = `RoR ${this.formatRisk(ror)}`;
+        button.classList.toggle('high', ror >= 0.2);
+    }
+
+    renderRisk() {
+        const container = this.elements.riskResults;
+        if (!container) return;
+
+        const bankroll = parseFloat(this.elements.riskBankroll?.value) || 0;
+        const { ev, sd, averageBet, basis } = this.getRiskFigures();
+        const spots = this.game.getSpotCount();
+        const roundsPerHour = estimateHandsPerHour(this.game.settings, this.game.deck.penetration, spots) / spots;
+        const tripRounds = Math.round(this.riskSettings.tripHours * roundsPerHour);
+        const target = this.riskSettings.targetRisk / 100;
+
+        const money = (value) => `${value < 0 ? '-' : ''}$${Math.round(Math.abs(value)).toLocaleString()}`;
+        const required = getRequiredBankroll(ev, sd, target);
+        const tripRequired = getRequiredTripBankroll(ev, sd, tripRounds, target);
+        const winPercent = averageBet > 0 ? ev / averageBet * 100 : 0;
+
+        const rows = [
+            ['Win rate', `${money(ev * 100)} / 100 rounds (${winPercent >= 0 ? '+' : ''}${winPercent.toFixed(2)}%)`],
+            ['SD', `${money(sd)} / round`],
+            ['Hourly', `${money(ev * roundsPerHour)} over ${Math.round(roundsPerHour)} rounds`],
+            ['Risk of ruin', this.formatRisk(calculateRiskOfRuin(ev, sd, bankroll))],
+            [`Trip ruin (${this.riskSettings.tripHours} h)`, this.formatRisk(calculateTripRuin(ev, sd, bankroll, tripRounds))],
+            [`Bankroll for ${this.riskSettings.targetRisk}% risk`, required === null ? 'No edge' : money(required)],
+            [`Trip bankroll for ${this.riskSettings.targetRisk}% risk`, tripRequired === null ? '-' : money(tripRequired)]
+        ];
+
+        if (this.elements.riskBasis) this.elements.riskBasis.textContent = basis;
+        container.innerHTML = rows.map(([label, value]) => `<li><span>${label}</span><span>${value}</span></li>`).join('');
+    }
+
+    // === Hand History ===
+    openHistoryModal() {
+        this.renderHistory();
+        this.elements.historyModal?.classList.add('visible');
+    }
+
+    closeHistoryModal() {
+        this.elements.historyModal?.classList.remove('visible');
+    }
+
+    renderHistory() {
+        const list = this.elements.historyList;
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (this.game.handHistory.length === 0) {
+            list.innerHTML = '<p class="history-empty">No hands played yet</p>';
+            return;
+        }
+
+        const discipline = this.game.betDiscipline;
+        if (discipline.rounds > 0) {
+            const summary = document.createElement('p');
+            summary.className = 'history-discipline';
+            summary.textContent = `Bet discipline this session: ${discipline.onRamp} of ${discipline.rounds} ` +
+                `on the ramp (${Math.round(discipline.onRamp / discipline.rounds * 100)}%) · ` +
+                `${discipline.over} over · ${discipline.under} under`;
+            list.appendChild(summary);
+        }
+
+        const resultLabels = {
+            [ResultType.WIN]: 'Win',
+            [ResultType.LOSE]: 'Lose',
+            [ResultType.PUSH]: 'Push',
+            [ResultType.BLACKJACK]: 'Blackjack',
+            [ResultType.SURRENDER]: 'Surrender',
+            [ResultType.EVEN_MONEY]: 'Even Money'
+        };
+
+        this.game.handHistory.forEach(round => {
+            const row = document.createElement('div');
+            row.className = 'history-round';
+
+            const dealer = document.createElement('div');
+            dealer.className = 'history-dealer';
+            const tc = round.trueCount === null ? '' : ` · TC ${round.trueCount > 0 ? '+' : ''}${round.trueCount}`;
+            dealer.textContent = `Dealer ${round.dealer.join(' ')}${tc}`;
+            row.appendChild(dealer);
+
+            if (round.betAdvice) {
+                const advice = round.betAdvice;
+                const betLine = document.createElement('div');
+                betLine.className = `history-bet ${advice.discipline}`;
+                const betTc = `${advice.trueCount > 0 ? '+' : ''}${advice.trueCount}`;
+                const label = advice.discipline === 'on' ? 'on the ramp' : `${advice.discipline} the ramp`;
+                betLine.textContent = `Bet $${advice.bet.toLocaleString()} at TC ${betTc} · ` +
+                    `advised $${advice.advised.toLocaleString()} (${label})`;
+                row.appendChild(betLine);
+            }
+
+            round.hands.forEach(hand => {
+                const line = document.createElement('div');
+                line.className = 'history-hand';
+                const label = round.hands.length > 1 ? `Spot ${hand.spot + 1}: ` : '';
+                const insurance = hand.insurance > 0 ? ' · insured' : '';
+                line.innerHTML = `<span>${label}${hand.cards.join(' ')}${insurance}</span>` +
+                    `<span class="hand-result ${hand.result}">${resultLabels[hand.result] || hand.result} ` +
+                    `${hand.amount >= 0 ? '+' : '-'}$${Math.abs(hand.amount).toLocaleString()}</span>`;
+                row.appendChild(line);
+            });
+
+            list.appendChild(row);
+        });
+    }
+
+    // === Persistence ===
+    saveUIPreferences() {
+        try {
+            const prefs = {
+                soundEnabled: this.soundEnabled,
+                hintsEnabled: this.hintsEnabled,
+                countingEnabled: this.countingEnabled,
+                autoBetEnabled: this.autoBetEnabled,
+                wrongPlayFeedback: this.wrongPlayFeedback,
+                evReadoutEnabled: this.evReadoutEnabled,
+                countCheckpoints: this.countCheckpoints,
+                lastBet: this.lastBet,
+                winStreak: this.winStreak,
+                biggestWin: this.biggestWin,
+                riskSettings: this.riskSettings
+            };
+            localStorage.setItem('blackjack_ui_prefs', JSON.stringify(prefs));
+        } catch (e) { }
+    }
+
+    loadUIPreferences() {
+        try {
+            const saved = localStorage.getItem('blackjack_ui_prefs');
+            if (saved) {
+                const prefs = JSON.parse(saved);
+                this.soundEnabled = prefs.soundEnabled ?? true;
+                this.hintsEnabled = prefs.hintsEnabled ?? false;
+                this.countingEnabled = prefs.countingEnabled ?? false;
+                this.autoBetEnabled = prefs.autoBetEnabled ?? false;
+                this.wrongPlayFeedback = prefs.wrongPlayFeedback ?? false;
+                this.evReadoutEnabled = prefs.evReadoutEnabled ?? false;
+                this.countCheckpoints = prefs.countCheckpoints ?? 'off';
+                this.lastBet = prefs.lastBet ?? 0;
+                this.winStreak = prefs.winStreak ?? 0;
+                this.biggestWin = prefs.biggestWin ?? 0;
+                this.riskSettings = { ...this.riskSettings, ...prefs.riskSettings };
+            }
+        } catch (e) { }
+    }
+
+    // Settings rows that only apply while counting
+    updateCountingOptions() {
+        this.elements.countingOptions?.forEach(row => {
+            row.style.display = this.countingEnabled ? 'flex' : 'none';
+        });
+    }
+
+    loadSettingsUI() {
+        if (this.elements.toggleSound) {
+            this.elements.toggleSound.checked = this.soundEnabled;
+        }
+        if (this.elements.toggleHints) {
+            this.elements.toggleHints.checked = this.hintsEnabled;
+        }
+        if (this.elements.toggleCounting) {
+            this.elements.toggleCounting.checked = this.countingEnabled;
+            this.game.updateSettings({ countingEnabled: this.countingEnabled });
+        }
+        this.updateCountingOptions();
+        if (this.elements.settingCountChecks) {
+            this.elements.settingCountChecks.value = this.countCheckpoints;
+        }
+        this.elements.sideCountToggles?.forEach(toggle => {
+            toggle.checked = (this.game.settings.sideCounts || []).includes(toggle.value);
+        });
+        if (this.elements.toggleInsurance) {
+            this.elements.toggleInsurance.checked = !!this.game.settings.insuranceAllowed;
+        }
+        if (this.elements.settingDealerH17) {
+            this.elements.settingDealerH17.checked = !!this.game.settings.dealerHitsSoft17;
+        }
+        if (this.elements.settingDeckCount) {
+            this.elements.settingDeckCount.value = this.game.settings.deckCount;
+        }
+        if (this.elements.settingBlackjackPays) {
+            this.elements.settingBlackjackPays.value = String(this.game.settings.blackjackPays);
+        }
+        if (this.elements.settingReshuffleAt && this.game.deck.penetration) {
+            this.elements.settingReshuffleAt.value = Math.round(this.game.deck.penetration * 100);
+        }
+        this.renderCountSystemOptions();
+        this.updateIndexSummary();
+        if (this.elements.settingTcRounding) {
+            this.elements.settingTcRounding.value = this.game.settings.trueCountRounding || 'round';
+        }
+        if (this.elements.settingDeckEstimation) {
+            this.elements.settingDeckEstimation.value = this.game.settings.deckEstimation || 'exact';
+        }
+
+        // Auto-stand on 21
+        if (this.elements.toggleAutostand) {
+            this.elements.toggleAutostand.checked = !!this.game.settings.autoStandOn21;
+        }
+
+        // Auto-bet
+        if (this.elements.toggleAutobet) {
+            this.elements.toggleAutobet.checked = this.autoBetEnabled;
+        }
+
+        // Wrong play feedback
         if (this.elements.toggleWrongplay) {
             this.elements.toggleWrongplay.checked = this.wrongPlayFeedback;
         }
 
+        // Action EV readout
+        if (this.elements.toggleEvReadout) {
+            this.elements.toggleEvReadout.checked = this.evReadoutEnabled;
+        }
+
         // Number of hands
         if (this.elements.settingNumHands) {
-            this.elements.settingNumHands.value = this.game.settings.numHands || 1;
+            this.elements.settingNumHands.value = this.game.getSpotCount();
         }
 
         // Dealer hole card
@@ -1493,6 +3749,68 @@ class BlackjackUI {
             this.elements.toggleHoleCard.checked = this.game.settings.dealerHoleCard !== false;
         }
 
+        // European no hole card
+        if (this.elements.toggleEnhc) {
+            this.elements.toggleEnhc.checked = !!this.game.settings.enhc;
+        }
+
+        // Dealer peek rules
+        if (this.elements.toggleDealerPeek) {
+            this.elements.toggleDealerPeek.checked = this.game.settings.dealerPeek !== false;
+        }
+        if (this.elements.settingDealerBjLoses) {
+            this.elements.settingDealerBjLoses.value = this.game.settings.dealerBlackjackLoses || 'original';
+        }
+        this.updateHoleCardRows();
+
+        // Split rules
+        if (this.elements.toggleDas) {
+            this.elements.toggleDas.checked = this.game.settings.doubleAfterSplit !== false;
+        }
+        if (this.elements.toggleResplitAces) {
+            this.elements.toggleResplitAces.checked = !!this.game.settings.resplitAces;
+        }
+        if (this.elements.toggleSplitAcesOneCard) {
+            this.elements.toggleSplitAcesOneCard.checked = this.game.settings.splitAcesOneCard !== false;
+        }
+        if (this.elements.settingMaxSplitHands) {
+            this.elements.settingMaxSplitHands.value = this.game.settings.maxSplitHands || 4;
+        }
+        if (this.elements.settingSplitTens) {
+            this.elements.settingSplitTens.value = this.game.settings.splitAnyTen ? 'value' : 'rank';
+        }
+
+        // Surrender mode
+        if (this.elements.settingSurrenderMode) {
+            this.elements.settingSurrenderMode.value = this.game.settings.surrenderMode || 'late';
+        }
+
+        // Double rules
+        if (this.elements.settingDoubleOn) {
+            this.elements.settingDoubleOn.value = this.game.settings.doubleOn || 'any2';
+        }
+        if (this.elements.toggleDoubleForLess) {
+            this.elements.toggleDoubleForLess.checked = !!this.game.settings.doubleForLess;
+        }
+
+        this.updateCountSystemInfo();
+
+        // Bet advisor
+        if (this.elements.settingBetAdvisor) {
+            this.elements.settingBetAdvisor.value = this.game.settings.betAdvisor || 'off';
+        }
+        if (this.elements.settingBetUnit) this.elements.settingBetUnit.value = this.game.settings.betUnit;
+        if (this.elements.settingBetRamp) this.elements.settingBetRamp.value = this.game.settings.betRamp.join(',');
+        if (this.elements.settingKellyFraction) {
+            this.elements.settingKellyFraction.value = String(this.game.settings.kellyFraction);
+        }
+        this.updateBetAdvisorRows();
+
+        // Rule presets
+        this.renderPresetOptions();
+        this.updatePresetMatch();
+        this.updateHouseEdge();
+
         // Theme picker - set active theme
         if (this.elements.themePicker && this.themeManager) {
             const currentTheme = this.themeManager.getCurrentTheme();
@@ -3,7 +3,7 @@
  * Enables offline play by caching all game assets
  */
 
-const CACHE_NAME = 'Rainbet-blackjack-v1';
+const CACHE_NAME = 'Rainbet-blackjack-v2';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
@@ -12,7 +12,15 @@ const ASSETS_TO_CACHE = [
     '/css/styles-modern.css',
     '/css/new-layout.css',
     '/js/deck.js',
+    '/js/strategy-engine.js',
+    '/js/deviations.js',
     '/js/game.js',
+    '/js/presets.js',
+    '/js/count-systems.js',
+    '/js/simulator-worker.js',
+    '/js/house-edge.js',
+    '/js/bankroll.js',
+    '/js/drills.js',
     '/js/init.js',
     '/js/sounds.js',
     '/js/themes.js',